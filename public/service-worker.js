@@ -3,6 +3,13 @@ const CACHE_NAME = 'radar-map-cache-v1';
 const STATIC_CACHE_NAME = 'radar-map-static-v1';
 const MAP_CACHE_NAME = 'radar-map-tiles-v1';
 const API_CACHE_NAME = 'radar-map-api-v1';
+const ZONE_CACHE_NAME = 'radar-map-zones-v1';
+const OFFLINE_CACHE_NAME = 'radar-map-offline-v1';
+
+// Basemap tile hosts, passed by the app in the registration URL
+const TILE_HOSTS = (new URL(self.location.href).searchParams.get('tiles') || 'tile.openstreetmap.org')
+  .split(',')
+  .filter(Boolean);
 
 // Assets to cache on install
 const STATIC_ASSETS = [
@@ -29,7 +36,7 @@ self.addEventListener('install', (event) => {
 
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
-  const currentCaches = [STATIC_CACHE_NAME, MAP_CACHE_NAME, API_CACHE_NAME];
+  const currentCaches = [STATIC_CACHE_NAME, MAP_CACHE_NAME, API_CACHE_NAME, ZONE_CACHE_NAME, OFFLINE_CACHE_NAME];
   
   event.waitUntil(
     caches.keys()
@@ -51,7 +58,9 @@ self.addEventListener('activate', (event) => {
 
 // Helper function to determine if a request is for a map tile
 function isMapTile(url) {
-  return url.includes('tile.openstreetmap.org');
+  const hostname = new URL(url).hostname;
+  
+  return TILE_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
 }
 
 // Helper function to determine if a request is for weather data
@@ -81,12 +90,21 @@ self.addEventListener('fetch', (event) => {
     return;
   }
   
-  // Handle map tile requests - Cache first, then network
+  // Offline area downloads store tiles themselves - pass them straight through
+  if (isMapTile(url) && event.request.cache === 'no-store') {
+    return;
+  }
+  
+  // Handle map tile requests - Cache first (including saved offline areas), then network
   if (isMapTile(url)) {
     event.respondWith(
       caches.open(MAP_CACHE_NAME)
         .then((cache) => {
           return cache.match(event.request)
+            .then((cachedResponse) => {
+              return cachedResponse || caches.open(OFFLINE_CACHE_NAME)
+                .then((offlineCache) => offlineCache.match(event.request));
+            })
             .then((cachedResponse) => {
               if (cachedResponse) {
                 return cachedResponse;
@@ -205,3 +223,27 @@ self.addEventListener('message', (event) => {
     self.skipWaiting();
   }
 });
+
+// Notification click - focus the app and open the alert
+self.addEventListener('notificationclick', (event) => {
+  const alertId = event.notification.data && event.notification.data.alertId;
+  
+  event.notification.close();
+  
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((clientList) => {
+        const client = clientList.find(
+          (windowClient) => new URL(windowClient.url).origin === self.location.origin
+        );
+        
+        if (client) {
+          client.postMessage({ type: 'OPEN_ALERT', alertId });
+          return client.focus();
+        }
+        
+        // No open window - start the app with the alert in the URL
+        return self.clients.openWindow(`/#alert=${encodeURIComponent(alertId || '')}`);
+      })
+  );
+});
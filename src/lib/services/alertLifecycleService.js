@@ -0,0 +1,179 @@
+/**
+ * Alert Lifecycle Service
+ * Classifies changes between successive alert fetches using CAP ids and references
+ */
+
+// Lifecycle event types
+export const ALERT_EVENT_TYPES = {
+  NEW: 'new',
+  UPDATE: 'update',
+  EXTENSION: 'extension',
+  EXPIRY: 'expiry',
+  CANCELLATION: 'cancellation'
+};
+
+// Alerts sent this long before the previous fetch are treated as already known
+const NEW_ALERT_GRACE_MS = 2 * 60 * 1000; // 2 minutes
+
+// Numbers events, since the same change can happen to an alert more than once
+let eventSequence = 0;
+
+/**
+ * Diff two successive alert lists
+ * @param {Array} previous - Alerts from the previous fetch
+ * @param {Array} current - Alerts from the latest fetch
+ * @param {Object} options - Diff options
+ * @param {Number} [options.now] - Current time in milliseconds
+ * @param {Date} [options.since] - Time of the previous fetch; older alerts that only now
+ *   came into scope (e.g. after panning) are not reported as new
+ * @param {Function} [options.isInScope] - Whether a vanished alert was still covered by the
+ *   latest query; alerts that merely left the queried area are not reported as cancelled
+ * @returns {Array<Object>} Lifecycle events
+ */
+export function diffAlerts(previous, current, options = {}) {
+  const now = options.now || Date.now();
+  const since = options.since ? options.since.getTime() - NEW_ALERT_GRACE_MS : null;
+  const isInScope = options.isInScope || (() => true);
+  
+  const previousById = new Map((previous || []).map(alert => [getAlertId(alert), alert]));
+  const currentIds = new Set((current || []).map(getAlertId));
+  const supersededIds = new Set();
+  const events = [];
+  
+  (current || []).forEach(alert => {
+    const id = getAlertId(alert);
+    
+    // Already known and unchanged
+    if (previousById.has(id)) return;
+    
+    const priors = getReferencedIds(alert)
+      .map(referenceId => previousById.get(referenceId))
+      .filter(Boolean);
+    
+    priors.forEach(prior => supersededIds.add(getAlertId(prior)));
+    
+    const prior = getLatestAlert(priors);
+    
+    if (alert.properties.messageType === 'Cancel') {
+      // Cancels for alerts we never showed carry no news
+      if (prior) {
+        events.push(createEvent(ALERT_EVENT_TYPES.CANCELLATION, alert, prior, now));
+      }
+    } else if (!prior) {
+      const sent = getTime(alert.properties.sent);
+      
+      if (since === null || sent === null || sent >= since) {
+        events.push(createEvent(ALERT_EVENT_TYPES.NEW, alert, null, now));
+      }
+    } else if (getExpiry(alert) > getExpiry(prior)) {
+      events.push(createEvent(ALERT_EVENT_TYPES.EXTENSION, alert, prior, now));
+    } else {
+      events.push(createEvent(ALERT_EVENT_TYPES.UPDATE, alert, prior, now));
+    }
+  });
+  
+  (previous || []).forEach(alert => {
+    const id = getAlertId(alert);
+    
+    if (currentIds.has(id) || supersededIds.has(id)) return;
+    
+    const expiry = getExpiry(alert);
+    
+    if (expiry !== null && expiry <= now) {
+      events.push(createEvent(ALERT_EVENT_TYPES.EXPIRY, alert, null, now));
+    } else if (isInScope(alert)) {
+      // Dropped from the feed before expiring
+      events.push(createEvent(ALERT_EVENT_TYPES.CANCELLATION, alert, null, now));
+    }
+  });
+  
+  return events;
+}
+
+/**
+ * Check whether an alert is a live alert rather than a cancel message
+ * @param {Object} alert - Weather alert object
+ * @returns {Boolean} Whether the alert should be shown as active
+ */
+export function isLiveAlert(alert) {
+  return Boolean(alert && alert.properties && alert.properties.messageType !== 'Cancel');
+}
+
+/**
+ * Get the CAP identifier of an alert
+ * @param {Object} alert - Weather alert object
+ * @returns {String} Alert identifier or null
+ */
+export function getAlertId(alert) {
+  return alert && alert.properties ? alert.properties.id : null;
+}
+
+/**
+ * Get the CAP identifiers an alert references (the messages it replaces)
+ * @param {Object} alert - Weather alert object
+ * @returns {Array<String>} Referenced identifiers
+ */
+export function getReferencedIds(alert) {
+  if (!alert || !alert.properties || !Array.isArray(alert.properties.references)) {
+    return [];
+  }
+  
+  return alert.properties.references
+    .map(reference => reference.identifier)
+    .filter(Boolean);
+}
+
+/**
+ * Create a lifecycle event
+ * @param {String} type - One of ALERT_EVENT_TYPES
+ * @param {Object} alert - The alert the event is about
+ * @param {Object} previous - The alert it replaces, if any
+ * @param {Number} now - Current time in milliseconds
+ * @returns {Object} Lifecycle event
+ */
+function createEvent(type, alert, previous, now) {
+  const alertId = getAlertId(alert);
+  
+  return {
+    id: `${type}:${alertId}:${++eventSequence}`,
+    type,
+    alertId,
+    alert,
+    previous,
+    timestamp: new Date(now)
+  };
+}
+
+/**
+ * Get the end time of an alert, preferring the event end over message expiry
+ * @param {Object} alert - Weather alert object
+ * @returns {Number} End time in milliseconds or null
+ */
+function getExpiry(alert) {
+  const props = alert.properties;
+  return getTime(props.ends) !== null ? getTime(props.ends) : getTime(props.expires);
+}
+
+/**
+ * Pick the most recently sent alert from a list
+ * @param {Array} alerts - Weather alert objects
+ * @returns {Object} Latest alert or null
+ */
+function getLatestAlert(alerts) {
+  return alerts.reduce((latest, alert) => {
+    if (!latest) return alert;
+    return (getTime(alert.properties.sent) || 0) > (getTime(latest.properties.sent) || 0) ? alert : latest;
+  }, null);
+}
+
+/**
+ * Parse a date string into milliseconds
+ * @param {String} value - ISO date string
+ * @returns {Number} Milliseconds or null if missing or invalid
+ */
+function getTime(value) {
+  if (!value) return null;
+  
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
@@ -0,0 +1,333 @@
+/**
+ * Alert Taxonomy Service
+ * Single source of truth for NWS product ranking, hazard colors and CAP severity
+ */
+
+// NWS products in official priority order (most important first) with hazard map colors
+// https://www.weather.gov/help-map
+const HAZARDS = [
+  ['Tsunami Warning', '#FD6347'],
+  ['Tornado Warning', '#FF0000'],
+  ['Extreme Wind Warning', '#FF8C00'],
+  ['Severe Thunderstorm Warning', '#FFA500'],
+  ['Flash Flood Warning', '#8B0000'],
+  ['Flash Flood Statement', '#8B0000'],
+  ['Severe Weather Statement', '#00FFFF'],
+  ['Shelter In Place Warning', '#FA8072'],
+  ['Evacuation Immediate', '#7FFF00'],
+  ['Civil Danger Warning', '#FFB6C1'],
+  ['Nuclear Power Plant Warning', '#4B0082'],
+  ['Radiological Hazard Warning', '#4B0082'],
+  ['Hazardous Materials Warning', '#4B0082'],
+  ['Fire Warning', '#A0522D'],
+  ['Civil Emergency Message', '#FFB6C1'],
+  ['Law Enforcement Warning', '#C0C0C0'],
+  ['Storm Surge Warning', '#B524F7'],
+  ['Hurricane Force Wind Warning', '#CD5C5C'],
+  ['Hurricane Warning', '#DC143C'],
+  ['Typhoon Warning', '#DC143C'],
+  ['Special Marine Warning', '#FFA500'],
+  ['Blizzard Warning', '#FF4500'],
+  ['Snow Squall Warning', '#C71585'],
+  ['Ice Storm Warning', '#8B008B'],
+  ['Heavy Freezing Spray Warning', '#00BFFF'],
+  ['Winter Storm Warning', '#FF69B4'],
+  ['Lake Effect Snow Warning', '#008B8B'],
+  ['Dust Storm Warning', '#FFE4C4'],
+  ['Blowing Dust Warning', '#FFE4C4'],
+  ['High Wind Warning', '#DAA520'],
+  ['Tropical Storm Warning', '#B22222'],
+  ['Storm Warning', '#9400D3'],
+  ['Tsunami Advisory', '#D2691E'],
+  ['Tsunami Watch', '#FF00FF'],
+  ['Avalanche Warning', '#1E90FF'],
+  ['Earthquake Warning', '#8B4513'],
+  ['Volcano Warning', '#2F4F4F'],
+  ['Ashfall Warning', '#A9A9A9'],
+  ['Flood Warning', '#00FF00'],
+  ['Coastal Flood Warning', '#228B22'],
+  ['Lakeshore Flood Warning', '#228B22'],
+  ['Ashfall Advisory', '#696969'],
+  ['High Surf Warning', '#228B22'],
+  ['Extreme Heat Warning', '#C71585'],
+  ['Tornado Watch', '#FFFF00'],
+  ['Severe Thunderstorm Watch', '#DB7093'],
+  ['Flash Flood Watch', '#2E8B57'],
+  ['Gale Warning', '#DDA0DD'],
+  ['Flood Statement', '#00FF00'],
+  ['Extreme Cold Warning', '#0000FF'],
+  ['Freeze Warning', '#483D8B'],
+  ['Red Flag Warning', '#FF1493'],
+  ['Storm Surge Watch', '#DB7FF7'],
+  ['Hurricane Watch', '#FF00FF'],
+  ['Hurricane Force Wind Watch', '#9932CC'],
+  ['Typhoon Watch', '#FF00FF'],
+  ['Tropical Storm Watch', '#F08080'],
+  ['Storm Watch', '#FFE4B5'],
+  ['Tropical Cyclone Local Statement', '#FFE4B5'],
+  ['Winter Weather Advisory', '#7B68EE'],
+  ['Avalanche Advisory', '#CD853F'],
+  ['Cold Weather Advisory', '#AFEEEE'],
+  ['Heat Advisory', '#FF7F50'],
+  ['Flood Advisory', '#00FF7F'],
+  ['Coastal Flood Advisory', '#7CFC00'],
+  ['Lakeshore Flood Advisory', '#7CFC00'],
+  ['High Surf Advisory', '#BA55D3'],
+  ['Dense Fog Advisory', '#708090'],
+  ['Dense Smoke Advisory', '#F0E68C'],
+  ['Small Craft Advisory', '#D8BFD8'],
+  ['Brisk Wind Advisory', '#D8BFD8'],
+  ['Hazardous Seas Warning', '#D8BFD8'],
+  ['Dust Advisory', '#BDB76B'],
+  ['Blowing Dust Advisory', '#BDB76B'],
+  ['Lake Wind Advisory', '#D2B48C'],
+  ['Wind Advisory', '#D2B48C'],
+  ['Frost Advisory', '#6495ED'],
+  ['Freezing Fog Advisory', '#008080'],
+  ['Freezing Spray Advisory', '#00BFFF'],
+  ['Low Water Advisory', '#A52A2A'],
+  ['Local Area Emergency', '#C0C0C0'],
+  ['Winter Storm Watch', '#4682B4'],
+  ['Rip Current Statement', '#40E0D0'],
+  ['Beach Hazards Statement', '#40E0D0'],
+  ['Gale Watch', '#FFC0CB'],
+  ['Avalanche Watch', '#F4A460'],
+  ['Hazardous Seas Watch', '#483D8B'],
+  ['Heavy Freezing Spray Watch', '#BC8F8F'],
+  ['Flood Watch', '#2E8B57'],
+  ['Coastal Flood Watch', '#66CDAA'],
+  ['Lakeshore Flood Watch', '#66CDAA'],
+  ['High Wind Watch', '#B8860B'],
+  ['Extreme Heat Watch', '#800000'],
+  ['Extreme Cold Watch', '#5F9EA0'],
+  ['Freeze Watch', '#00FFFF'],
+  ['Fire Weather Watch', '#FFDEAD'],
+  ['Extreme Fire Danger', '#E9967A'],
+  ['911 Telephone Outage', '#C0C0C0'],
+  ['Coastal Flood Statement', '#6B8E23'],
+  ['Lakeshore Flood Statement', '#6B8E23'],
+  ['Special Weather Statement', '#FFE4B5'],
+  ['Marine Weather Statement', '#FFDAB9'],
+  ['Air Quality Alert', '#808080'],
+  ['Air Stagnation Advisory', '#808080'],
+  ['Hazardous Weather Outlook', '#EEE8AA'],
+  ['Hydrologic Outlook', '#90EE90'],
+  ['Short Term Forecast', '#98FB98'],
+  ['Administrative Message', '#C0C0C0'],
+  ['Test', '#F0FFFF'],
+  ['Child Abduction Emergency', '#FFFFFF'],
+  ['Blue Alert', '#FFFFFF']
+];
+
+// Retired product names still seen in the feed, mapped to their replacements
+const RENAMED_EVENTS = {
+  'Excessive Heat Warning': 'Extreme Heat Warning',
+  'Excessive Heat Watch': 'Extreme Heat Watch',
+  'Wind Chill Warning': 'Extreme Cold Warning',
+  'Wind Chill Watch': 'Extreme Cold Watch',
+  'Wind Chill Advisory': 'Cold Weather Advisory',
+  'Hurricane Local Statement': 'Tropical Cyclone Local Statement',
+  'Typhoon Local Statement': 'Tropical Cyclone Local Statement',
+  '911 Telephone Outage Emergency': '911 Telephone Outage'
+};
+
+// CAP levels, most significant first
+export const SEVERITY_LEVELS = ['extreme', 'severe', 'moderate', 'minor', 'unknown'];
+export const URGENCY_LEVELS = ['immediate', 'expected', 'future', 'past', 'unknown'];
+export const CERTAINTY_LEVELS = ['observed', 'likely', 'possible', 'unlikely', 'unknown'];
+
+// Style used for products missing from the table
+const DEFAULT_COLOR = '#C0C0C0';
+
+// Lookup table built from HAZARDS
+const EVENT_INFO = new Map(
+  HAZARDS.map(([event, color], priority) => [event, {
+    event,
+    color,
+    priority,
+    category: getEventCategory(event)
+  }])
+);
+
+/**
+ * Get taxonomy information for an NWS event name
+ * @param {String} event - Event name (e.g. 'Tornado Warning')
+ * @returns {Object} Object with event, color, priority (lower is more important) and category
+ */
+export function getEventInfo(event) {
+  const name = RENAMED_EVENTS[event] || event;
+  
+  if (EVENT_INFO.has(name)) {
+    return { ...EVENT_INFO.get(name), event };
+  }
+  
+  return {
+    event,
+    color: DEFAULT_COLOR,
+    priority: HAZARDS.length,
+    category: getEventCategory(event)
+  };
+}
+
+/**
+ * Get the names of all products in the table, most important first
+ * @returns {Array<String>} Event names
+ */
+export function getKnownEvents() {
+  return HAZARDS.map(([event]) => event);
+}
+
+/**
+ * Check whether a CAP level is at least as significant as a minimum
+ * @param {String} level - Normalised level (e.g. 'moderate')
+ * @param {String} minimum - Minimum level, or null for no minimum
+ * @param {Array<String>} levels - Level list, most significant first
+ * @returns {Boolean} Whether the level meets the minimum ('unknown' never does)
+ */
+export function meetsMinimumLevel(level, minimum, levels) {
+  if (!minimum) return true;
+  if (level === 'unknown') return false;
+  
+  return levels.indexOf(level) <= levels.indexOf(minimum);
+}
+
+/**
+ * Get the CAP severity of an alert
+ * @param {Object} alert - Weather alert object
+ * @returns {String} One of SEVERITY_LEVELS
+ */
+export function getAlertSeverity(alert) {
+  return getCapLevel(alert, 'severity', SEVERITY_LEVELS);
+}
+
+/**
+ * Get the CAP urgency of an alert
+ * @param {Object} alert - Weather alert object
+ * @returns {String} One of URGENCY_LEVELS
+ */
+export function getAlertUrgency(alert) {
+  return getCapLevel(alert, 'urgency', URGENCY_LEVELS);
+}
+
+/**
+ * Get the CAP certainty of an alert
+ * @param {Object} alert - Weather alert object
+ * @returns {String} One of CERTAINTY_LEVELS
+ */
+export function getAlertCertainty(alert) {
+  return getCapLevel(alert, 'certainty', CERTAINTY_LEVELS);
+}
+
+/**
+ * Check if a weather alert is severe
+ * Severe means a severe or extreme hazard that is imminent and observed or likely
+ * @param {Object} alert - Weather alert object
+ * @returns {Boolean} Whether the alert is severe
+ */
+export function isSevereAlert(alert) {
+  return ['extreme', 'severe'].includes(getAlertSeverity(alert)) &&
+    ['immediate', 'expected'].includes(getAlertUrgency(alert)) &&
+    ['observed', 'likely'].includes(getAlertCertainty(alert));
+}
+
+/**
+ * Compare two alerts for ranking (use with Array.prototype.sort)
+ * Orders by CAP severity, then urgency, then NWS product priority, then certainty
+ * @param {Object} a - First weather alert
+ * @param {Object} b - Second weather alert
+ * @returns {Number} Negative if a ranks above b
+ */
+export function compareAlerts(a, b) {
+  return (
+    SEVERITY_LEVELS.indexOf(getAlertSeverity(a)) - SEVERITY_LEVELS.indexOf(getAlertSeverity(b)) ||
+    URGENCY_LEVELS.indexOf(getAlertUrgency(a)) - URGENCY_LEVELS.indexOf(getAlertUrgency(b)) ||
+    getEventInfo(getEventName(a)).priority - getEventInfo(getEventName(b)).priority ||
+    CERTAINTY_LEVELS.indexOf(getAlertCertainty(a)) - CERTAINTY_LEVELS.indexOf(getAlertCertainty(b))
+  );
+}
+
+/**
+ * Sort alerts from most to least important
+ * @param {Array} alerts - Weather alert objects
+ * @returns {Array} New sorted array
+ */
+export function sortAlerts(alerts) {
+  return [...(alerts || [])].sort(compareAlerts);
+}
+
+/**
+ * Get the hazard color of an alert
+ * @param {Object} alert - Weather alert object
+ * @returns {String} CSS hex color
+ */
+export function getAlertColor(alert) {
+  return getEventInfo(getEventName(alert)).color;
+}
+
+/**
+ * Get the Leaflet path style for an alert polygon
+ * @param {Object} alert - Weather alert object
+ * @returns {Object} Leaflet path options
+ */
+export function getAlertStyle(alert) {
+  const info = getEventInfo(getEventName(alert));
+  
+  return {
+    color: info.color,
+    weight: info.category === 'warning' ? 3 : 2,
+    fillOpacity: info.category === 'warning' ? 0.3 : 0.15,
+    dashArray: info.category === 'watch' ? '6 4' : null
+  };
+}
+
+/**
+ * Get the CSS severity class used by alert lists
+ * @param {Object} alert - Weather alert object
+ * @returns {String} Class suffix (extreme, severe, moderate or minor)
+ */
+export function getSeverityClass(alert) {
+  const severity = getAlertSeverity(alert);
+  return severity === 'unknown' ? 'minor' : severity;
+}
+
+/**
+ * Get an alert's event name
+ * @param {Object} alert - Weather alert object
+ * @returns {String} Event name or empty string
+ */
+function getEventName(alert) {
+  return alert && alert.properties ? alert.properties.event || '' : '';
+}
+
+/**
+ * Read a CAP field and normalise it to one of the given levels
+ * @param {Object} alert - Weather alert object
+ * @param {String} field - CAP property name
+ * @param {Array<String>} levels - Allowed lowercase values
+ * @returns {String} Normalised level ('unknown' if missing)
+ */
+function getCapLevel(alert, field, levels) {
+  if (!alert || !alert.properties || !alert.properties[field]) {
+    return 'unknown';
+  }
+  
+  const value = String(alert.properties[field]).toLowerCase();
+  return levels.includes(value) ? value : 'unknown';
+}
+
+/**
+ * Derive a product category from its name
+ * @param {String} event - Event name
+ * @returns {String} warning, watch, advisory, statement, emergency or other
+ */
+function getEventCategory(event) {
+  if (!event) return 'other';
+  
+  if (/Warning$/.test(event)) return 'warning';
+  if (/Watch$/.test(event)) return 'watch';
+  if (/Advisory$/.test(event)) return 'advisory';
+  if (/Statement$/.test(event)) return 'statement';
+  if (/Emergency|Immediate/.test(event)) return 'emergency';
+  
+  return 'other';
+}
@@ -3,15 +3,19 @@
  * Handles caching for offline use
  */
 
+import { getSettings } from '../stores/settingsStore';
+
 // Cache names
 const MAP_CACHE_NAME = 'radar-map-tiles-v1';
 const API_CACHE_NAME = 'radar-map-api-v1';
 const STATIC_CACHE_NAME = 'radar-map-static-v1';
+const ZONE_CACHE_NAME = 'radar-map-zones-v1';
+const OFFLINE_CACHE_NAME = 'radar-map-offline-v1'; // Tiles of areas saved for offline use; never trimmed
 
 // Cache limits
-const MAX_MAP_CACHE_SIZE = 50 * 1024 * 1024; // 50MB
 const MAX_API_CACHE_SIZE = 5 * 1024 * 1024; // 5MB
-const MAX_API_CACHE_AGE = 30 * 60 * 1000; // 30 minutes
+const MAX_ZONE_CACHE_SIZE = 25 * 1024 * 1024; // 25MB
+const MAX_ZONE_CACHE_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
 
 /**
  * Initialize the cache service
@@ -24,6 +28,8 @@ export async function initCache() {
       await caches.open(MAP_CACHE_NAME);
       await caches.open(API_CACHE_NAME);
       await caches.open(STATIC_CACHE_NAME);
+      await caches.open(ZONE_CACHE_NAME);
+      await caches.open(OFFLINE_CACHE_NAME);
       return true;
     }
     return false;
@@ -34,45 +40,105 @@ export async function initCache() {
 }
 
 /**
- * Cache map tiles for offline use
+ * Cache map tiles for offline use, in the offline area cache
+ * Tiles already saved (e.g. by an overlapping area) aren't downloaded again
  * @param {Array<String>} urls - Array of tile URLs to cache
- * @returns {Promise<Number>} Number of successfully cached tiles
+ * @returns {Promise<Object>} { savedCount, failedCount, bytes } where bytes is the size of the saved tiles
  */
 export async function cacheMapTiles(urls) {
+  if (!urls || !urls.length) {
+    return { savedCount: 0, failedCount: 0, bytes: 0 };
+  }
+  
+  if (!('caches' in window)) {
+    throw new Error('Offline storage is not supported by this browser');
+  }
+  
+  const cache = await caches.open(OFFLINE_CACHE_NAME);
+  const results = await Promise.allSettled(urls.map(url => cacheTile(cache, url)));
+  const saved = results.filter(result => result.status === 'fulfilled');
+  
+  return {
+    savedCount: saved.length,
+    failedCount: results.length - saved.length,
+    bytes: saved.reduce((total, result) => total + result.value, 0)
+  };
+}
+
+/**
+ * Download a map tile into a cache unless it is there already
+ * @param {Cache} cache - Open cache
+ * @param {String} url - Tile URL
+ * @returns {Promise<Number>} Size of the tile in bytes
+ */
+async function cacheTile(cache, url) {
+  const cached = await cache.match(url);
+  
+  if (cached) {
+    return (await cached.blob()).size;
+  }
+  
+  // Skip the HTTP cache; the service worker also passes these requests straight through
+  const response = await fetch(url, { cache: 'no-store' });
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}`);
+  }
+  
+  const blob = await response.blob();
+  await cache.put(url, new Response(blob, {
+    headers: { 'Content-Type': blob.type || 'image/png' }
+  }));
+  
+  return blob.size;
+}
+
+/**
+ * Delete map tiles from the offline area cache
+ * @param {Array<String>} urls - Tile URLs
+ * @returns {Promise<Number>} Number of tiles deleted
+ */
+export async function deleteOfflineTiles(urls) {
   if (!urls || !urls.length || !('caches' in window)) {
     return 0;
   }
   
   try {
-    const cache = await caches.open(MAP_CACHE_NAME);
-    let successCount = 0;
+    const cache = await caches.open(OFFLINE_CACHE_NAME);
+    let deletedCount = 0;
     
     // Process in batches to avoid overwhelming the browser
-    const batchSize = 10;
+    const batchSize = 50;
     for (let i = 0; i < urls.length; i += batchSize) {
-      const batch = urls.slice(i, i + batchSize);
-      const results = await Promise.allSettled(
-        batch.map(url => fetch(url).then(response => {
-          if (response.ok) {
-            return cache.put(url, response);
-          }
-          throw new Error(`Failed to fetch ${url}`);
-        }))
-      );
-      
-      successCount += results.filter(result => result.status === 'fulfilled').length;
+      const results = await Promise.all(urls.slice(i, i + batchSize).map(url => cache.delete(url)));
+      deletedCount += results.filter(Boolean).length;
     }
     
-    // Trim cache if it gets too large
-    await trimCache(MAP_CACHE_NAME, MAX_MAP_CACHE_SIZE);
-    
-    return successCount;
+    return deletedCount;
   } catch (error) {
-    console.error('Error caching map tiles:', error);
+    console.error('Error deleting offline tiles:', error);
     return 0;
   }
 }
 
+/**
+ * Get how much storage the app uses and may use
+ * @returns {Promise<Object>} { usage, quota } in bytes, or null if the browser can't tell
+ */
+export async function getStorageEstimate() {
+  if (!navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+  
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage || 0, quota: quota || 0 };
+  } catch (error) {
+    console.error('Error estimating storage:', error);
+    return null;
+  }
+}
+
 /**
  * Cache API responses for offline use
  * @param {String} url - API URL to cache
@@ -85,21 +151,8 @@ export async function cacheApiResponse(url, response) {
   }
   
   try {
-    const cache = await caches.open(API_CACHE_NAME);
-    
-    // Create a new response with timestamp metadata
     const data = await response.json();
-    const cachedResponse = new Response(JSON.stringify({
-      data,
-      timestamp: Date.now()
-    }), {
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Cache-Timestamp': Date.now().toString()
-      }
-    });
-    
-    await cache.put(url, cachedResponse);
+    await putTimestampedJson(API_CACHE_NAME, url, data);
     
     // Trim cache if it gets too large
     await trimCache(API_CACHE_NAME, MAX_API_CACHE_SIZE);
@@ -111,37 +164,125 @@ export async function cacheApiResponse(url, response) {
   }
 }
 
+/**
+ * Get the age up to which short-lived API responses (alerts, observations,
+ * forecasts) are used from the caches, from the settings
+ * @returns {Number} Maximum age in milliseconds
+ */
+export function getApiCacheMaxAge() {
+  return getSettings().apiCacheMinutes * 60 * 1000;
+}
+
 /**
  * Get a cached API response
  * @param {String} url - API URL to retrieve
- * @param {Number} maxAge - Maximum age in milliseconds (default: 30 minutes)
+ * @param {Number} maxAge - Maximum age in milliseconds (default: the API cache age setting)
  * @returns {Promise<Object>} Cached response data or null
  */
-export async function getCachedApiResponse(url, maxAge = MAX_API_CACHE_AGE) {
+export async function getCachedApiResponse(url, maxAge = getApiCacheMaxAge()) {
   if (!url || !('caches' in window)) {
     return null;
   }
   
   try {
-    const cache = await caches.open(API_CACHE_NAME);
-    const cachedResponse = await cache.match(url);
-    
-    if (!cachedResponse) {
-      return null;
-    }
-    
-    const cachedData = await cachedResponse.json();
+    return await matchTimestampedJson(API_CACHE_NAME, url, maxAge);
+  } catch (error) {
+    console.error('Error retrieving cached API response:', error);
+    return null;
+  }
+}
+
+/**
+ * Cache a forecast zone geometry
+ * Zones rarely change, so they live in their own long-lived cache
+ * @param {String} url - Zone URL used as the cache key
+ * @param {Object} geometry - GeoJSON geometry of the zone
+ * @returns {Promise<Boolean>} Whether caching was successful
+ */
+export async function cacheZoneGeometry(url, geometry) {
+  if (!url || !geometry || !('caches' in window)) {
+    return false;
+  }
+  
+  try {
+    await putTimestampedJson(ZONE_CACHE_NAME, url, geometry);
     
-    // Check if the cached data is too old
-    if (Date.now() - cachedData.timestamp > maxAge) {
-      return null;
-    }
+    // Trim cache if it gets too large
+    await trimCache(ZONE_CACHE_NAME, MAX_ZONE_CACHE_SIZE);
     
-    return cachedData.data;
+    return true;
   } catch (error) {
-    console.error('Error retrieving cached API response:', error);
+    console.error('Error caching zone geometry:', error);
+    return false;
+  }
+}
+
+/**
+ * Get a cached forecast zone geometry
+ * @param {String} url - Zone URL to retrieve
+ * @param {Number} maxAge - Maximum age in milliseconds (default: 7 days)
+ * @returns {Promise<Object>} Cached GeoJSON geometry or null
+ */
+export async function getCachedZoneGeometry(url, maxAge = MAX_ZONE_CACHE_AGE) {
+  if (!url || !('caches' in window)) {
+    return null;
+  }
+  
+  try {
+    return await matchTimestampedJson(ZONE_CACHE_NAME, url, maxAge);
+  } catch (error) {
+    console.error('Error retrieving cached zone geometry:', error);
+    return null;
+  }
+}
+
+/**
+ * Store JSON data in a cache along with a timestamp
+ * @param {String} cacheName - Name of the cache to write to
+ * @param {String} url - Cache key
+ * @param {*} data - JSON-serializable data
+ * @returns {Promise<void>}
+ */
+async function putTimestampedJson(cacheName, url, data) {
+  const cache = await caches.open(cacheName);
+  
+  // Create a new response with timestamp metadata
+  const cachedResponse = new Response(JSON.stringify({
+    data,
+    timestamp: Date.now()
+  }), {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Cache-Timestamp': Date.now().toString()
+    }
+  });
+  
+  await cache.put(url, cachedResponse);
+}
+
+/**
+ * Read timestamped JSON data from a cache
+ * @param {String} cacheName - Name of the cache to read from
+ * @param {String} url - Cache key
+ * @param {Number} maxAge - Maximum age in milliseconds
+ * @returns {Promise<*>} Cached data or null if missing or too old
+ */
+async function matchTimestampedJson(cacheName, url, maxAge) {
+  const cache = await caches.open(cacheName);
+  const cachedResponse = await cache.match(url);
+  
+  if (!cachedResponse) {
+    return null;
+  }
+  
+  const cachedData = await cachedResponse.json();
+  
+  // Check if the cached data is too old
+  if (Date.now() - cachedData.timestamp > maxAge) {
     return null;
   }
+  
+  return cachedData.data;
 }
 
 /**
@@ -265,7 +406,8 @@ export async function clearAllCaches() {
     await Promise.all([
       caches.delete(MAP_CACHE_NAME),
       caches.delete(API_CACHE_NAME),
-      caches.delete(STATIC_CACHE_NAME)
+      caches.delete(STATIC_CACHE_NAME),
+      caches.delete(ZONE_CACHE_NAME)
     ]);
     
     return true;
@@ -3,12 +3,8 @@
  * Handles device GPS positioning
  */
 
-// Default options for geolocation
-const DEFAULT_OPTIONS = {
-  enableHighAccuracy: true,
-  maximumAge: 10000, // 10 seconds
-  timeout: 60000 // 1 minute
-};
+import { get } from 'svelte/store';
+import { trackingOptions } from '../stores/settingsStore';
 
 /**
  * Check if geolocation is supported by the browser
@@ -36,7 +32,7 @@ export function getCurrentPosition(successCallback, errorCallback, options = {})
   navigator.geolocation.getCurrentPosition(
     successCallback,
     errorCallback,
-    { ...DEFAULT_OPTIONS, ...options }
+    { ...get(trackingOptions), ...options }
   );
 }
 
@@ -59,7 +55,7 @@ export function watchPosition(successCallback, errorCallback, options = {}) {
   return navigator.geolocation.watchPosition(
     successCallback,
     errorCallback,
-    { ...DEFAULT_OPTIONS, ...options }
+    { ...get(trackingOptions), ...options }
   );
 }
 
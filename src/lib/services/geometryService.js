@@ -0,0 +1,202 @@
+/**
+ * Geometry Service
+ * Handles point-in-polygon and bounds tests for GeoJSON alert geometries
+ */
+
+/**
+ * Check if a point lies inside a single linear ring (ray casting)
+ * @param {Array<number>} point - Point coordinates [lat, lng]
+ * @param {Array<Array<number>>} ring - GeoJSON ring of [lng, lat] positions
+ * @returns {Boolean} Whether the point is inside the ring
+ */
+export function pointInRing(point, ring) {
+  if (!point || !ring || ring.length < 3) {
+    return false;
+  }
+  
+  const lat = point[0];
+  const lng = point[1];
+  let inside = false;
+  
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const lngI = ring[i][0];
+    const latI = ring[i][1];
+    const lngJ = ring[j][0];
+    const latJ = ring[j][1];
+    
+    const crosses = (latI > lat) !== (latJ > lat) &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+    
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  
+  return inside;
+}
+
+/**
+ * Check if a point lies inside a polygon, honouring holes
+ * @param {Array<number>} point - Point coordinates [lat, lng]
+ * @param {Array} rings - GeoJSON Polygon coordinates (outer ring followed by holes)
+ * @returns {Boolean} Whether the point is inside the polygon
+ */
+export function pointInPolygon(point, rings) {
+  if (!rings || rings.length === 0 || !pointInRing(point, rings[0])) {
+    return false;
+  }
+  
+  // Points inside any hole are outside the polygon
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(point, rings[i])) {
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Check if a point lies inside a GeoJSON geometry
+ * Supports Polygon, MultiPolygon and GeometryCollection; other types never match
+ * @param {Array<number>} point - Point coordinates [lat, lng]
+ * @param {Object} geometry - GeoJSON geometry object
+ * @returns {Boolean} Whether the point is inside the geometry
+ */
+export function pointInGeometry(point, geometry) {
+  if (!point || !geometry) {
+    return false;
+  }
+  
+  switch (geometry.type) {
+    case 'Polygon':
+      return pointInPolygon(point, geometry.coordinates);
+    case 'MultiPolygon':
+      return (geometry.coordinates || []).some(polygon => pointInPolygon(point, polygon));
+    case 'GeometryCollection':
+      return (geometry.geometries || []).some(child => pointInGeometry(point, child));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get the bounding box of a GeoJSON geometry
+ * @param {Object} geometry - GeoJSON geometry object
+ * @returns {Object} Bounds object with north, south, east, west properties, or null if empty
+ */
+export function getGeometryBounds(geometry) {
+  if (!geometry) {
+    return null;
+  }
+  
+  const bounds = {
+    north: -Infinity,
+    south: Infinity,
+    east: -Infinity,
+    west: Infinity
+  };
+  
+  eachPosition(geometry, ([lng, lat]) => {
+    bounds.north = Math.max(bounds.north, lat);
+    bounds.south = Math.min(bounds.south, lat);
+    bounds.east = Math.max(bounds.east, lng);
+    bounds.west = Math.min(bounds.west, lng);
+  });
+  
+  return bounds.north === -Infinity ? null : bounds;
+}
+
+/**
+ * Check if a GeoJSON geometry overlaps a bounds rectangle
+ * Uses the geometry's bounding box, so a shape that covers the whole view still matches
+ * @param {Object} geometry - GeoJSON geometry object
+ * @param {Object} bounds - Bounds object with north, south, east, west properties
+ * @returns {Boolean} Whether the geometry overlaps the bounds
+ */
+export function geometryIntersectsBounds(geometry, bounds) {
+  const geometryBounds = getGeometryBounds(geometry);
+  
+  if (!geometryBounds || !bounds) {
+    return false;
+  }
+  
+  return (
+    geometryBounds.south <= bounds.north &&
+    geometryBounds.north >= bounds.south &&
+    geometryBounds.west <= bounds.east &&
+    geometryBounds.east >= bounds.west
+  );
+}
+
+/**
+ * Merge several polygonal geometries into one MultiPolygon
+ * @param {Array<Object>} geometries - GeoJSON Polygon, MultiPolygon or GeometryCollection objects
+ * @returns {Object} GeoJSON MultiPolygon, or null if no polygons were found
+ */
+export function mergeGeometries(geometries) {
+  const polygons = [];
+  
+  const collect = (geometry) => {
+    if (!geometry) return;
+    
+    if (geometry.type === 'Polygon') {
+      polygons.push(geometry.coordinates);
+    } else if (geometry.type === 'MultiPolygon') {
+      polygons.push(...geometry.coordinates);
+    } else if (geometry.type === 'GeometryCollection') {
+      (geometry.geometries || []).forEach(collect);
+    }
+  };
+  
+  (geometries || []).forEach(collect);
+  
+  if (polygons.length === 0) {
+    return null;
+  }
+  
+  return {
+    type: 'MultiPolygon',
+    coordinates: polygons
+  };
+}
+
+/**
+ * Get the alerts whose geometry contains a point
+ * @param {Array} alerts - Array of GeoJSON alert features
+ * @param {Array<number>} point - Point coordinates [lat, lng]
+ * @returns {Array} Alerts covering the point
+ */
+export function getAlertsAtPoint(alerts, point) {
+  if (!alerts || !point) {
+    return [];
+  }
+  
+  return alerts.filter(alert => alert && pointInGeometry(point, alert.geometry));
+}
+
+/**
+ * Call a function for every position in a geometry
+ * @param {Object} geometry - GeoJSON geometry object
+ * @param {Function} callback - Called with each [lng, lat] position
+ */
+function eachPosition(geometry, callback) {
+  if (!geometry) return;
+  
+  if (geometry.type === 'GeometryCollection') {
+    (geometry.geometries || []).forEach(child => eachPosition(child, callback));
+    return;
+  }
+  
+  const walk = (coords) => {
+    if (!Array.isArray(coords)) return;
+    
+    if (typeof coords[0] === 'number') {
+      callback(coords);
+    } else {
+      coords.forEach(walk);
+    }
+  };
+  
+  walk(geometry.coordinates);
+}
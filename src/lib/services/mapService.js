@@ -11,14 +11,72 @@ const DEFAULT_ZOOM = 5;
 const MAX_ZOOM = 19;
 const MIN_ZOOM = 3;
 
+// Tile server for offline areas; the public servers below forbid bulk downloads in their
+// usage policies, so saving areas needs a server of your own or a plan that allows it
+const OFFLINE_TILE_URL = import.meta.env.VITE_OFFLINE_TILE_URL || '';
+
+// Basemap tile styles
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const CARTO_ATTRIBUTION = `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`;
+const BASEMAPS = [
+  {
+    id: 'osm',
+    label: 'Streets',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: OSM_ATTRIBUTION,
+    maxZoom: 19
+  },
+  {
+    id: 'light',
+    label: 'Light gray',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/Canvas/World_Light_Gray_Base/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Tiles &copy; Esri &mdash; Esri, HERE, Garmin, &copy; OpenStreetMap contributors',
+    maxZoom: 16
+  },
+  {
+    id: 'dark',
+    label: 'Dark',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    attribution: CARTO_ATTRIBUTION,
+    maxZoom: 19
+  },
+  {
+    id: 'terrain',
+    label: 'Terrain',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: `${OSM_ATTRIBUTION}, SRTM | Style &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`,
+    maxZoom: 17
+  },
+  {
+    // Label-free dark tiles pushed to black and white so colored overlays stand out
+    id: 'high-contrast',
+    label: 'High contrast',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}{r}.png',
+    attribution: CARTO_ATTRIBUTION,
+    maxZoom: 19,
+    className: 'basemap-high-contrast'
+  },
+  ...(OFFLINE_TILE_URL ? [{
+    id: 'offline',
+    label: import.meta.env.VITE_OFFLINE_TILE_LABEL || 'Offline-ready',
+    url: OFFLINE_TILE_URL,
+    attribution: import.meta.env.VITE_OFFLINE_TILE_ATTRIBUTION || OSM_ATTRIBUTION,
+    maxZoom: Number(import.meta.env.VITE_OFFLINE_TILE_MAX_ZOOM) || 18,
+    allowsOfflineDownload: true
+  }] : [])
+];
+export const DEFAULT_BASEMAP = 'osm';
+const TILE_SUBDOMAINS = ['a', 'b', 'c']; // Filled in for {s} in the tile URLs
+
 /**
  * Create a map instance
  * @param {HTMLElement} element - DOM element to render the map
  * @param {Array<number>} center - Initial center coordinates [lat, lng]
  * @param {Number} zoom - Initial zoom level
+ * @param {String} basemapId - Basemap id from getBasemaps
  * @returns {Object} Leaflet map instance
  */
-export function createMap(element, center = DEFAULT_CENTER, zoom = DEFAULT_ZOOM) {
+export function createMap(element, center = DEFAULT_CENTER, zoom = DEFAULT_ZOOM, basemapId = DEFAULT_BASEMAP) {
   if (!element) {
     throw new Error('Map element is required');
   }
@@ -33,15 +91,90 @@ export function createMap(element, center = DEFAULT_CENTER, zoom = DEFAULT_ZOOM)
     minZoom: MIN_ZOOM
   });
   
-  // Add OpenStreetMap tile layer
-  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-    maxZoom: MAX_ZOOM
-  }).addTo(map);
+  createBasemapLayer(basemapId).addTo(map);
   
   return map;
 }
 
+/**
+ * Get the basemaps that can be picked
+ * @returns {Array<Object>} Basemaps with id and label
+ */
+export function getBasemaps() {
+  return BASEMAPS.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Get the basemaps whose tile server allows saving areas for offline use
+ * @returns {Array<Object>} Basemaps with id and label
+ */
+export function getOfflineBasemaps() {
+  return BASEMAPS
+    .filter(basemap => basemap.allowsOfflineDownload)
+    .map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Get a basemap by id
+ * @param {String} basemapId - Basemap id from getBasemaps
+ * @returns {Object} Basemap, or the default one if the id is unknown
+ */
+export function getBasemap(basemapId) {
+  return BASEMAPS.find(basemap => basemap.id === basemapId) ||
+    BASEMAPS.find(basemap => basemap.id === DEFAULT_BASEMAP);
+}
+
+/**
+ * Create the tile layer of a basemap
+ * Tiles are upscaled past the style's own maximum zoom so the map zoom range stays the same
+ * @param {String} basemapId - Basemap id from getBasemaps
+ * @returns {Object} Leaflet tile layer
+ */
+export function createBasemapLayer(basemapId) {
+  const basemap = getBasemap(basemapId);
+  
+  return L.tileLayer(basemap.url, {
+    attribution: basemap.attribution,
+    maxNativeZoom: basemap.maxZoom,
+    maxZoom: MAX_ZOOM,
+    subdomains: TILE_SUBDOMAINS,
+    className: basemap.className || ''
+  });
+}
+
+/**
+ * Get the URL of a basemap tile, exactly as the map would request it
+ * Offline copies are looked up by URL, so the subdomain and retina suffix must match
+ * @param {String} basemapId - Basemap id from getBasemaps
+ * @param {Object} coords - Tile coordinates { x, y, z }
+ * @returns {String} Tile URL
+ */
+export function getBasemapTileUrl(basemapId, coords) {
+  const basemap = getBasemap(basemapId);
+  
+  // Leaflet picks the subdomain from the tile position the same way
+  return L.Util.template(basemap.url, {
+    s: TILE_SUBDOMAINS[Math.abs(coords.x + coords.y) % TILE_SUBDOMAINS.length],
+    r: L.Browser.retina ? '@2x' : '',
+    x: coords.x,
+    y: coords.y,
+    z: coords.z
+  });
+}
+
+/**
+ * Get the tile hosts of all basemaps, so they can be cached as map tiles
+ * Subdomain placeholders are dropped, leaving the host shared by all subdomains
+ * @returns {Array<String>} Host names (e.g. 'tile.openstreetmap.org')
+ */
+export function getBasemapTileHosts() {
+  const hosts = BASEMAPS.map(basemap =>
+    basemap.url.replace(/^https?:\/\//, '').split('/')[0].replace(/^\{s\}\./, '')
+  );
+  
+  return Array.from(new Set(hosts));
+}
+
 /**
  * Get the bounds of the current map view
  * @param {Object} map - Leaflet map instance
@@ -87,6 +220,65 @@ export function calculateDistance(point1, point2) {
   return distance;
 }
 
+/**
+ * Calculate the initial bearing from one point to another
+ * @param {Array} point1 - Start point coordinates [lat, lng]
+ * @param {Array} point2 - End point coordinates [lat, lng]
+ * @returns {Number} Bearing in degrees clockwise from north (0-360)
+ */
+export function calculateBearing(point1, point2) {
+  if (!point1 || !point2) return 0;
+  
+  const lat1 = deg2rad(point1[0]);
+  const lat2 = deg2rad(point2[0]);
+  const dLon = deg2rad(point2[1] - point1[1]);
+  
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) -
+    Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  
+  return (rad2deg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Calculate the point reached by travelling from a start point along a bearing
+ * @param {Array} point - Start point coordinates [lat, lng]
+ * @param {Number} bearing - Bearing in degrees clockwise from north
+ * @param {Number} distance - Distance in kilometers
+ * @returns {Array<number>} Destination coordinates [lat, lng]
+ */
+export function calculateDestination(point, bearing, distance) {
+  if (!point) return null;
+  
+  const R = 6371; // Radius of the earth in km
+  const angularDistance = distance / R;
+  const theta = deg2rad(bearing);
+  const lat1 = deg2rad(point[0]);
+  const lon1 = deg2rad(point[1]);
+  
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angularDistance) +
+    Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(theta)
+  );
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angularDistance) * Math.cos(lat1),
+    Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  
+  // Normalise longitude to -180..180
+  return [rad2deg(lat2), ((rad2deg(lon2) + 540) % 360) - 180];
+}
+
+/**
+ * Project a point to Web Mercator (EPSG:3857)
+ * @param {Array} point - Point coordinates [lat, lng]
+ * @returns {Array<number>} Projected coordinates [x, y] in meters
+ */
+export function projectToMercator(point) {
+  const projected = L.CRS.EPSG3857.project(L.latLng(point[0], point[1]));
+  return [projected.x, projected.y];
+}
+
 /**
  * Convert degrees to radians
  * @param {Number} deg - Degrees
@@ -96,6 +288,15 @@ function deg2rad(deg) {
   return deg * (Math.PI/180);
 }
 
+/**
+ * Convert radians to degrees
+ * @param {Number} rad - Radians
+ * @returns {Number} Degrees
+ */
+function rad2deg(rad) {
+  return rad * (180/Math.PI);
+}
+
 /**
  * Create a marker on the map
  * @param {Object} map - Leaflet map instance
@@ -0,0 +1,126 @@
+/**
+ * Notification Service
+ * Handles permission and system notifications for weather alerts
+ */
+
+import * as alertLifecycleService from './alertLifecycleService';
+import * as alertTaxonomyService from './alertTaxonomyService';
+
+// Storage key for alert ids that were already notified
+const NOTIFIED_STORAGE_KEY = 'radar-map-notified-alerts';
+
+// How long a notified id is remembered
+const NOTIFIED_RETENTION = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+/**
+ * Check if system notifications are supported
+ * @returns {Boolean} Whether notifications can be shown
+ */
+export function isNotificationSupported() {
+  return 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * Get the current notification permission
+ * @returns {String} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export function getNotificationPermission() {
+  if (!isNotificationSupported()) {
+    return 'unsupported';
+  }
+  
+  return Notification.permission;
+}
+
+/**
+ * Ask the user for permission to show notifications
+ * @returns {Promise<String>} The resulting permission
+ */
+export async function requestNotificationPermission() {
+  if (!isNotificationSupported()) {
+    return 'unsupported';
+  }
+  
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return Notification.permission;
+  }
+}
+
+/**
+ * Show a system notification for an alert, once per alert
+ * Updates of an alert that was already notified are skipped as well
+ * @param {Object} alert - Weather alert object
+ * @param {String} [placeName] - Name of the place the alert covers
+ * @returns {Promise<Boolean>} Whether a notification was shown
+ */
+export async function notifyAlert(alert, placeName = 'your location') {
+  const id = alertLifecycleService.getAlertId(alert);
+  
+  if (!id || getNotificationPermission() !== 'granted') {
+    return false;
+  }
+  
+  const notified = loadNotifiedIds();
+  const relatedIds = [id, ...alertLifecycleService.getReferencedIds(alert)];
+  
+  const alreadyNotified = relatedIds.some(relatedId => notified[relatedId]);
+  
+  // Record the id before showing anything so concurrent calls can't double up,
+  // and so later updates in the same chain stay quiet
+  saveNotifiedIds({ ...notified, [id]: Date.now() });
+  
+  if (alreadyNotified) {
+    return false;
+  }
+  
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    const props = alert.properties;
+    
+    await registration.showNotification(`${props.event} at ${placeName}`, {
+      body: props.headline || props.areaDesc || '',
+      tag: id,
+      icon: '/vite.svg',
+      requireInteraction: alertTaxonomyService.getAlertSeverity(alert) === 'extreme',
+      data: { alertId: id }
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Error showing alert notification:', error);
+    return false;
+  }
+}
+
+/**
+ * Load notified alert ids, dropping entries past the retention period
+ * @returns {Object} Map of alert id to notification timestamp
+ */
+function loadNotifiedIds() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(NOTIFIED_STORAGE_KEY) || '{}');
+    const cutoff = Date.now() - NOTIFIED_RETENTION;
+    
+    return Object.fromEntries(
+      Object.entries(stored).filter(([, timestamp]) => timestamp > cutoff)
+    );
+  } catch (error) {
+    console.error('Error loading notified alerts:', error);
+    return {};
+  }
+}
+
+/**
+ * Save notified alert ids
+ * @param {Object} notified - Map of alert id to notification timestamp
+ */
+function saveNotifiedIds(notified) {
+  try {
+    localStorage.setItem(NOTIFIED_STORAGE_KEY, JSON.stringify(notified));
+  } catch (error) {
+    console.error('Error saving notified alerts:', error);
+  }
+}
@@ -0,0 +1,506 @@
+/**
+ * Nowcast Service
+ * Handles short-term radar forecasts by extrapolating the motion of recent frames
+ *
+ * Recent frames are sampled into images of the view, echo motion is estimated by
+ * block matching consecutive frames, and the newest frame is advected along that
+ * motion (semi-Lagrangian, backward trajectories) to produce future frames.
+ */
+
+import * as mapService from './mapService';
+
+// Sampling settings
+const MAX_IMAGE_SIZE = 384; // Longest side of sampled images in pixels
+const INPUT_FRAMES = 4; // Recent frames used to estimate motion
+const MIN_ALPHA = 32; // Pixels more transparent than this count as no echo
+
+// Block matching settings
+const BLOCK_SIZE = 16; // Block edge in pixels
+const SEARCH_RADIUS = 12; // Largest displacement searched between two frames, in pixels
+const SAMPLE_STEP = 2; // Compare every other pixel of a block
+const MIN_BLOCK_COVERAGE = 0.1; // Share of a block that must have echo to be matched
+const MIN_MOTION_BLOCKS = 3; // Matched blocks needed for a usable motion field
+
+// Forecast settings
+const FORECAST_STEP_MINUTES = 10;
+
+// Longest stretch of work between yields to the browser, so panning and the loop stay smooth
+const WORK_SLICE_MS = 12;
+
+/**
+ * Sample the most recent radar frames over a view and estimate how the echoes move
+ * @param {Array<Date>} timestamps - Observed frame times, oldest first
+ * @param {Function} getImageUrl - (timestamp, width, height) => URL of the frame image for the view
+ * @param {Object} bounds - View bounds with north, south, east, west properties
+ * @param {Object} viewSize - View size in pixels { x, y }
+ * @returns {Promise<Object>} Analysis { latest, motion, width, height, bounds, baseTime }, where
+ *   motion is null if there isn't enough echo to track; null if there are too few frames
+ */
+export async function analyzeFrames(timestamps, getImageUrl, bounds, viewSize) {
+  const inputTimes = timestamps.slice(-INPUT_FRAMES);
+  
+  if (inputTimes.length < 2) {
+    return null;
+  }
+  
+  const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(viewSize.x, viewSize.y));
+  const width = Math.max(BLOCK_SIZE, Math.round(viewSize.x * scale));
+  const height = Math.max(BLOCK_SIZE, Math.round(viewSize.y * scale));
+  
+  const images = await Promise.all(
+    inputTimes.map(timestamp => loadImageData(getImageUrl(timestamp, width, height), width, height))
+  );
+  
+  return {
+    latest: images[images.length - 1],
+    motion: await estimateMotion(images, inputTimes, width, height),
+    width,
+    height,
+    bounds,
+    baseTime: inputTimes[inputTimes.length - 1]
+  };
+}
+
+/**
+ * Create forecast frames by extrapolating the newest frame of an analysis
+ * @param {Object} analysis - Result of analyzeFrames
+ * @param {Number} leadMinutes - How far ahead to forecast
+ * @returns {Promise<Array>} Forecast frames { timestamp, url, leadMinutes }, oldest first;
+ *   empty if there isn't enough echo to track. The URLs are object URLs, to be released with
+ *   URL.revokeObjectURL once the frames are no longer shown
+ */
+export async function createNowcast(analysis, leadMinutes = 30) {
+  if (!analysis || !analysis.motion) {
+    return [];
+  }
+  
+  const { latest, motion, width, height } = analysis;
+  const frames = [];
+  const pause = createWorkSlicer();
+  
+  for (let lead = FORECAST_STEP_MINUTES; lead <= leadMinutes; lead += FORECAST_STEP_MINUTES) {
+    const pixels = await extrapolate(latest, motion, lead, width, height, pause);
+    
+    frames.push({
+      timestamp: new Date(analysis.baseTime.getTime() + lead * 60000),
+      url: await renderImageData(pixels, width, height),
+      leadMinutes: lead
+    });
+  }
+  
+  return frames;
+}
+
+/**
+ * Get the pixel of an analysis image at a point
+ * @param {Object} analysis - Result of analyzeFrames
+ * @param {Array} point - Point coordinates [lat, lng]
+ * @returns {Array<number>} Pixel [x, y], or null if the point is outside the image
+ */
+export function getPixelForPoint(analysis, point) {
+  const { bounds, width, height } = analysis;
+  const [west, south] = mapService.projectToMercator([bounds.south, bounds.west]);
+  const [east, north] = mapService.projectToMercator([bounds.north, bounds.east]);
+  const [x, y] = mapService.projectToMercator(point);
+  
+  const pixel = [
+    (x - west) / (east - west) * width,
+    (north - y) / (north - south) * height
+  ];
+  
+  return isInside(analysis, pixel[0], pixel[1]) ? pixel : null;
+}
+
+/**
+ * Get the echo motion at a pixel
+ * @param {Object} analysis - Result of analyzeFrames
+ * @param {Number} x - Pixel x
+ * @param {Number} y - Pixel y
+ * @returns {Array<number>} Motion [u, v] in pixels per minute (zero if no motion is known)
+ */
+export function getMotionAt(analysis, x, y) {
+  return analysis.motion ? sampleMotion(analysis.motion, x, y) : [0, 0];
+}
+
+/**
+ * Get the share of pixels with echo around a pixel of the newest frame
+ * @param {Object} analysis - Result of analyzeFrames
+ * @param {Number} x - Pixel x
+ * @param {Number} y - Pixel y
+ * @param {Number} radius - Neighbourhood radius in pixels
+ * @returns {Number} Share of echo pixels (0-1), or null if the pixel is outside the image
+ */
+export function getEchoCoverage(analysis, x, y, radius) {
+  if (!isInside(analysis, x, y)) {
+    return null;
+  }
+  
+  const { latest, width, height } = analysis;
+  const centerX = Math.floor(x);
+  const centerY = Math.floor(y);
+  let echoPixels = 0;
+  let samples = 0;
+  
+  for (let py = Math.max(0, centerY - radius); py <= Math.min(height - 1, centerY + radius); py++) {
+    for (let px = Math.max(0, centerX - radius); px <= Math.min(width - 1, centerX + radius); px++) {
+      samples++;
+      if (latest.data[(py * width + px) * 4 + 3] >= MIN_ALPHA) echoPixels++;
+    }
+  }
+  
+  return echoPixels / samples;
+}
+
+/**
+ * Check whether a pixel lies within an analysis image
+ * @param {Object} analysis - Result of analyzeFrames
+ * @param {Number} x - Pixel x
+ * @param {Number} y - Pixel y
+ * @returns {Boolean} Whether the pixel is inside
+ */
+function isInside(analysis, x, y) {
+  return x >= 0 && x < analysis.width && y >= 0 && y < analysis.height;
+}
+
+/**
+ * Estimate echo motion by block matching consecutive frames
+ * Matching yields to the browser between blocks, as it's the heaviest part of a nowcast
+ * @param {Array<ImageData>} images - Frame images, oldest first
+ * @param {Array<Date>} timestamps - Frame times
+ * @param {Number} width - Image width in pixels
+ * @param {Number} height - Image height in pixels
+ * @returns {Promise<Object>} Motion field { cols, rows, u, v } in pixels per minute per block, or null
+ */
+async function estimateMotion(images, timestamps, width, height) {
+  const cols = Math.floor(width / BLOCK_SIZE);
+  const rows = Math.floor(height / BLOCK_SIZE);
+  const sumU = new Float32Array(cols * rows);
+  const sumV = new Float32Array(cols * rows);
+  const counts = new Uint8Array(cols * rows);
+  const fields = images.map(image => toEchoField(image, width, height));
+  const pause = createWorkSlicer();
+  
+  for (let i = 1; i < fields.length; i++) {
+    const minutes = (timestamps[i].getTime() - timestamps[i - 1].getTime()) / 60000;
+    
+    if (minutes <= 0) continue;
+    
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        await pause();
+        
+        const match = matchBlock(fields[i - 1], fields[i], width, height, col * BLOCK_SIZE, row * BLOCK_SIZE);
+        
+        if (!match) continue;
+        
+        const block = row * cols + col;
+        sumU[block] += match.dx / minutes;
+        sumV[block] += match.dy / minutes;
+        counts[block]++;
+      }
+    }
+  }
+  
+  const matched = [];
+  
+  for (let block = 0; block < counts.length; block++) {
+    if (counts[block] > 0) {
+      matched.push(block);
+    }
+  }
+  
+  if (matched.length < MIN_MOTION_BLOCKS) {
+    return null;
+  }
+  
+  // Blocks without echo move with the typical (median) motion
+  const medianU = median(matched.map(block => sumU[block] / counts[block]));
+  const medianV = median(matched.map(block => sumV[block] / counts[block]));
+  const u = new Float32Array(cols * rows).fill(medianU);
+  const v = new Float32Array(cols * rows).fill(medianV);
+  
+  matched.forEach(block => {
+    u[block] = sumU[block] / counts[block];
+    v[block] = sumV[block] / counts[block];
+  });
+  
+  return { cols, rows, u: smoothField(u, cols, rows), v: smoothField(v, cols, rows) };
+}
+
+/**
+ * Find where a block of the later frame came from in the earlier one
+ * @param {Float32Array} previous - Earlier echo field
+ * @param {Float32Array} next - Later echo field
+ * @param {Number} width - Field width in pixels
+ * @param {Number} height - Field height in pixels
+ * @param {Number} x0 - Block left edge
+ * @param {Number} y0 - Block top edge
+ * @returns {Object} Displacement { dx, dy } in pixels, or null if the block has too little echo
+ */
+function matchBlock(previous, next, width, height, x0, y0) {
+  let echoPixels = 0;
+  let samples = 0;
+  
+  for (let y = y0; y < y0 + BLOCK_SIZE; y += SAMPLE_STEP) {
+    for (let x = x0; x < x0 + BLOCK_SIZE; x += SAMPLE_STEP) {
+      samples++;
+      if (next[y * width + x] > 0) echoPixels++;
+    }
+  }
+  
+  if (echoPixels / samples < MIN_BLOCK_COVERAGE) {
+    return null;
+  }
+  
+  let best = null;
+  
+  for (let dy = -SEARCH_RADIUS; dy <= SEARCH_RADIUS; dy++) {
+    for (let dx = -SEARCH_RADIUS; dx <= SEARCH_RADIUS; dx++) {
+      let cost = 0;
+      let compared = 0;
+      
+      for (let y = y0; y < y0 + BLOCK_SIZE; y += SAMPLE_STEP) {
+        const sourceY = y - dy;
+        if (sourceY < 0 || sourceY >= height) continue;
+        
+        for (let x = x0; x < x0 + BLOCK_SIZE; x += SAMPLE_STEP) {
+          const sourceX = x - dx;
+          if (sourceX < 0 || sourceX >= width) continue;
+          
+          cost += Math.abs(next[y * width + x] - previous[sourceY * width + sourceX]);
+          compared++;
+        }
+      }
+      
+      // Skip offsets that reach mostly outside the image
+      if (compared < samples / 2) continue;
+      
+      // Slightly prefer shorter moves so flat areas don't drift
+      const score = cost / compared + 0.01 * (dx * dx + dy * dy);
+      
+      if (!best || score < best.score) {
+        best = { dx, dy, score };
+      }
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Move the newest frame forward along the motion field
+ * Each output pixel follows the motion backwards (with a midpoint step) to the pixel it comes from
+ * @param {ImageData} image - Newest frame image
+ * @param {Object} motion - Motion field from estimateMotion
+ * @param {Number} minutes - Lead time in minutes
+ * @param {Number} width - Image width in pixels
+ * @param {Number} height - Image height in pixels
+ * @param {Function} pause - Work slicer from createWorkSlicer
+ * @returns {Promise<Uint8ClampedArray>} RGBA pixels of the forecast frame
+ */
+async function extrapolate(image, motion, minutes, width, height, pause) {
+  const output = new Uint8ClampedArray(width * height * 4);
+  
+  for (let y = 0; y < height; y++) {
+    await pause();
+    
+    for (let x = 0; x < width; x++) {
+      const [u1, v1] = sampleMotion(motion, x, y);
+      const [u2, v2] = sampleMotion(motion, x - u1 * minutes / 2, y - v1 * minutes / 2);
+      const sourceX = Math.round(x - u2 * minutes);
+      const sourceY = Math.round(y - v2 * minutes);
+      
+      if (sourceX < 0 || sourceX >= width || sourceY < 0 || sourceY >= height) continue;
+      
+      const from = (sourceY * width + sourceX) * 4;
+      const to = (y * width + x) * 4;
+      
+      // Copy pixels as-is so colors stay on the radar palette
+      output[to] = image.data[from];
+      output[to + 1] = image.data[from + 1];
+      output[to + 2] = image.data[from + 2];
+      output[to + 3] = image.data[from + 3];
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Interpolate the motion at a pixel from the surrounding block centers
+ * @param {Object} motion - Motion field from estimateMotion
+ * @param {Number} x - Pixel x
+ * @param {Number} y - Pixel y
+ * @returns {Array<number>} Motion [u, v] in pixels per minute
+ */
+function sampleMotion(motion, x, y) {
+  const gx = clamp((x - BLOCK_SIZE / 2) / BLOCK_SIZE, 0, motion.cols - 1);
+  const gy = clamp((y - BLOCK_SIZE / 2) / BLOCK_SIZE, 0, motion.rows - 1);
+  const col = Math.min(Math.floor(gx), motion.cols - 2);
+  const row = Math.min(Math.floor(gy), motion.rows - 2);
+  
+  // A single row or column of blocks can't be interpolated
+  if (col < 0 || row < 0) {
+    const block = Math.round(gy) * motion.cols + Math.round(gx);
+    return [motion.u[block], motion.v[block]];
+  }
+  
+  const fx = gx - col;
+  const fy = gy - row;
+  const blend = field => {
+    const top = field[row * motion.cols + col] * (1 - fx) + field[row * motion.cols + col + 1] * fx;
+    const bottom = field[(row + 1) * motion.cols + col] * (1 - fx) + field[(row + 1) * motion.cols + col + 1] * fx;
+    return top * (1 - fy) + bottom * fy;
+  };
+  
+  return [blend(motion.u), blend(motion.v)];
+}
+
+/**
+ * Average each block with its neighbours to remove isolated bad matches
+ * @param {Float32Array} field - Values per block
+ * @param {Number} cols - Blocks per row
+ * @param {Number} rows - Block rows
+ * @returns {Float32Array} Smoothed values
+ */
+function smoothField(field, cols, rows) {
+  const smoothed = new Float32Array(field.length);
+  
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      let sum = 0;
+      let count = 0;
+      
+      for (let r = Math.max(0, row - 1); r <= Math.min(rows - 1, row + 1); r++) {
+        for (let c = Math.max(0, col - 1); c <= Math.min(cols - 1, col + 1); c++) {
+          sum += field[r * cols + c];
+          count++;
+        }
+      }
+      
+      smoothed[row * cols + col] = sum / count;
+    }
+  }
+  
+  return smoothed;
+}
+
+/**
+ * Reduce an image to one value per pixel for matching; 0 where there is no echo
+ * @param {ImageData} image - Frame image
+ * @param {Number} width - Image width in pixels
+ * @param {Number} height - Image height in pixels
+ * @returns {Float32Array} Echo field
+ */
+function toEchoField(image, width, height) {
+  const field = new Float32Array(width * height);
+  
+  for (let i = 0; i < field.length; i++) {
+    const offset = i * 4;
+    
+    if (image.data[offset + 3] >= MIN_ALPHA) {
+      // Offset so even dark palette colors differ clearly from no echo
+      field[i] = 64 + (image.data[offset] + image.data[offset + 1] + image.data[offset + 2]) / 4;
+    }
+  }
+  
+  return field;
+}
+
+/**
+ * Fetch an image and read its pixels
+ * @param {String} url - Image URL
+ * @param {Number} width - Width to draw the image at
+ * @param {Number} height - Height to draw the image at
+ * @returns {Promise<ImageData>} Image pixels
+ */
+async function loadImageData(url, width, height) {
+  const response = await fetch(url);
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  const bitmap = await createImageBitmap(await response.blob());
+  const context = createCanvas(width, height).getContext('2d');
+  
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  
+  return context.getImageData(0, 0, width, height);
+}
+
+/**
+ * Encode pixels as a PNG, off the main thread where the browser allows
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {Number} width - Image width in pixels
+ * @param {Number} height - Image height in pixels
+ * @returns {Promise<String>} Object URL of the image
+ */
+function renderImageData(pixels, width, height) {
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+  
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(URL.createObjectURL(blob));
+      } else {
+        reject(new Error('Could not encode the forecast image'));
+      }
+    }, 'image/png');
+  });
+}
+
+/**
+ * Create an off-screen canvas
+ * @param {Number} width - Canvas width in pixels
+ * @param {Number} height - Canvas height in pixels
+ * @returns {HTMLCanvasElement} Canvas
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Create a pause point for long loops
+ * The returned function yields to the browser (rendering, input) once the current stretch of
+ * work has run for WORK_SLICE_MS, and resolves at once otherwise
+ * @returns {Function} () => Promise
+ */
+function createWorkSlicer() {
+  let sliceStart = performance.now();
+  
+  return async () => {
+    if (performance.now() - sliceStart < WORK_SLICE_MS) return;
+    
+    await new Promise(resolve => setTimeout(resolve, 0));
+    sliceStart = performance.now();
+  };
+}
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {Number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Limit a value to a range
+ * @param {Number} value - Value
+ * @param {Number} min - Lower limit
+ * @param {Number} max - Upper limit
+ * @returns {Number} Limited value
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,298 @@
+/**
+ * Observation Service
+ * Handles NWS surface observation stations and their latest observations
+ */
+
+import * as cacheService from './cacheService';
+import * as regionService from './regionService';
+
+// NWS API endpoints
+const NWS_BASE_URL = 'https://api.weather.gov';
+const NWS_STATIONS_URL = `${NWS_BASE_URL}/stations`;
+
+// Station list settings
+const STATIONS_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours; stations rarely change
+const MAX_STATION_PAGES = 4; // Pages of 500 stations fetched per area
+const MAX_STATION_AREAS = 4; // Above this many areas the view is too large for stations
+const stationListRequests = new Map(); // Area code -> Promise<Array>
+
+// Observation settings
+const OBSERVATION_FETCH_CONCURRENCY = 4;
+const observationCache = new Map(); // Station id -> { data, timestamp }
+const observationFetchQueue = [];
+let activeObservationFetches = 0;
+
+// Unit conversions
+const KT_PER_KMH = 0.539957;
+const MPH_PER_KMH = 0.621371;
+
+/**
+ * Get the observation stations within bounds
+ * Station lists are fetched per NWS area (state or territory) and cached for a day
+ * @param {Object} bounds - Bounds object with north, south, east, west properties
+ * @param {Number} [maxStations] - Most stations to return; the rest are thinned out evenly
+ * @returns {Promise<Array>} Stations { id, name, latLng, elevation }, or an empty list when
+ *   the view spans too many areas
+ */
+export async function getStationsInBounds(bounds, maxStations = 50) {
+  const areas = regionService.getAreasForBounds(bounds);
+  
+  if (areas.length === 0 || areas.length > MAX_STATION_AREAS) {
+    return [];
+  }
+  
+  const lists = await Promise.all(areas.map(getAreaStations));
+  const inBounds = lists.flat().filter(station => {
+    const [lat, lng] = station.latLng;
+    return lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east;
+  });
+  
+  return thinStations(inBounds, bounds, maxStations);
+}
+
+/**
+ * Get the latest observation at a station
+ * @param {String} stationId - Station identifier (e.g. 'KDSM')
+ * @param {Boolean} forceRefresh - Whether to skip cached copies
+ * @returns {Promise<Object>} Observation from formatObservation, or null if the station has none
+ */
+export async function getLatestObservation(stationId, forceRefresh = false) {
+  const url = `${NWS_STATIONS_URL}/${stationId}/observations/latest`;
+  const cached = observationCache.get(stationId);
+  
+  if (!forceRefresh && cached && Date.now() - cached.timestamp < cacheService.getApiCacheMaxAge()) {
+    return cached.data;
+  }
+  
+  if (!forceRefresh) {
+    const stored = await cacheService.getCachedApiResponse(url);
+    
+    if (stored) {
+      observationCache.set(stationId, { data: stored, timestamp: Date.now() });
+      return stored;
+    }
+  }
+  
+  const response = await scheduleObservationFetch(() => fetch(url));
+  
+  // Stations without recent reports answer 404
+  if (response.status === 404) {
+    observationCache.set(stationId, { data: null, timestamp: Date.now() });
+    return null;
+  }
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  const observation = formatObservation(await response.json());
+  
+  observationCache.set(stationId, { data: observation, timestamp: Date.now() });
+  await cacheService.cacheApiResponse(url, new Response(JSON.stringify(observation)));
+  
+  return observation;
+}
+
+/**
+ * Format an NWS observation for display
+ * Quantities are converted to °F, mph, knots, inHg and miles
+ * @param {Object} feature - Observation feature from the NWS API
+ * @returns {Object} Formatted observation
+ */
+export function formatObservation(feature) {
+  const props = feature.properties || {};
+  const windSpeedKmh = getValue(props.windSpeed);
+  const windGustKmh = getValue(props.windGust);
+  const pressurePa = getValue(props.seaLevelPressure) !== null
+    ? getValue(props.seaLevelPressure)
+    : getValue(props.barometricPressure);
+  const visibilityM = getValue(props.visibility);
+  
+  return {
+    stationId: props.stationId || null,
+    stationName: props.stationName || null,
+    timestamp: props.timestamp || null,
+    description: props.textDescription || '',
+    temperatureF: celsiusToFahrenheit(getValue(props.temperature)),
+    dewpointF: celsiusToFahrenheit(getValue(props.dewpoint)),
+    relativeHumidity: roundValue(getValue(props.relativeHumidity)),
+    feelsLikeF: celsiusToFahrenheit(
+      getValue(props.heatIndex) !== null ? getValue(props.heatIndex) : getValue(props.windChill)
+    ),
+    windDirection: getValue(props.windDirection),
+    windSpeedKt: windSpeedKmh !== null ? Math.round(windSpeedKmh * KT_PER_KMH) : null,
+    windSpeedMph: windSpeedKmh !== null ? Math.round(windSpeedKmh * MPH_PER_KMH) : null,
+    windGustKt: windGustKmh !== null ? Math.round(windGustKmh * KT_PER_KMH) : null,
+    windGustMph: windGustKmh !== null ? Math.round(windGustKmh * MPH_PER_KMH) : null,
+    pressureInHg: pressurePa !== null ? Math.round(pressurePa / 3386.39 * 100) / 100 : null,
+    visibilityMi: visibilityM !== null ? Math.round(visibilityM / 1609.34 * 10) / 10 : null,
+    rawMessage: props.rawMessage || ''
+  };
+}
+
+/**
+ * Break a wind speed into wind barb flags
+ * @param {Number} speedKt - Wind speed in knots
+ * @returns {Object} { pennants, barbs, halfBarbs } for 50, 10 and 5 knots; all zero when calm
+ */
+export function getWindBarbParts(speedKt) {
+  // Barbs are drawn to the nearest 5 knots
+  let remaining = Math.round((speedKt || 0) / 5) * 5;
+  
+  const pennants = Math.floor(remaining / 50);
+  remaining -= pennants * 50;
+  
+  const barbs = Math.floor(remaining / 10);
+  remaining -= barbs * 10;
+  
+  return { pennants, barbs, halfBarbs: remaining >= 5 ? 1 : 0 };
+}
+
+/**
+ * Get the station list of an NWS area, sharing requests between callers
+ * @param {String} area - Area code (e.g. 'IA')
+ * @returns {Promise<Array>} Stations with id, name, latLng and elevation
+ */
+function getAreaStations(area) {
+  if (!stationListRequests.has(area)) {
+    const request = fetchAreaStations(area).catch(error => {
+      // Forget failed requests so they can be retried later
+      stationListRequests.delete(area);
+      throw error;
+    });
+    
+    stationListRequests.set(area, request);
+  }
+  
+  return stationListRequests.get(area);
+}
+
+/**
+ * Fetch the station list of an NWS area from the cache or the network
+ * @param {String} area - Area code
+ * @returns {Promise<Array>} Stations with id, name, latLng and elevation
+ */
+async function fetchAreaStations(area) {
+  const url = `${NWS_STATIONS_URL}?state=${area}&limit=500`;
+  const cached = await cacheService.getCachedApiResponse(url, STATIONS_CACHE_DURATION);
+  
+  if (cached) {
+    return cached;
+  }
+  
+  const stations = [];
+  let pageUrl = url;
+  
+  for (let page = 0; page < MAX_STATION_PAGES && pageUrl; page++) {
+    const response = await fetch(pageUrl);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    const features = data.features || [];
+    
+    features
+      .filter(feature => feature.geometry && feature.properties && feature.properties.stationIdentifier)
+      .forEach(feature => stations.push({
+        id: feature.properties.stationIdentifier,
+        name: feature.properties.name || feature.properties.stationIdentifier,
+        latLng: [feature.geometry.coordinates[1], feature.geometry.coordinates[0]],
+        elevation: getValue(feature.properties.elevation)
+      }));
+    
+    // Later pages are linked until the list runs out
+    pageUrl = features.length > 0 && data.pagination ? data.pagination.next : null;
+  }
+  
+  await cacheService.cacheApiResponse(url, new Response(JSON.stringify(stations)));
+  
+  return stations;
+}
+
+/**
+ * Keep stations spread evenly over the view, one per grid cell
+ * @param {Array} stations - Stations inside the bounds
+ * @param {Object} bounds - Bounds object with north, south, east, west properties
+ * @param {Number} maxStations - Most stations to keep
+ * @returns {Array} Kept stations
+ */
+function thinStations(stations, bounds, maxStations) {
+  if (stations.length <= maxStations) {
+    return stations;
+  }
+  
+  const gridSize = Math.max(1, Math.floor(Math.sqrt(maxStations)));
+  const cellHeight = (bounds.north - bounds.south) / gridSize;
+  const cellWidth = (bounds.east - bounds.west) / gridSize;
+  const cells = new Map();
+  
+  stations.forEach(station => {
+    const row = Math.min(gridSize - 1, Math.floor((station.latLng[0] - bounds.south) / cellHeight));
+    const col = Math.min(gridSize - 1, Math.floor((station.latLng[1] - bounds.west) / cellWidth));
+    const key = row * gridSize + col;
+    
+    if (!cells.has(key)) {
+      cells.set(key, station);
+    }
+  });
+  
+  return Array.from(cells.values());
+}
+
+/**
+ * Queue an observation fetch so only a few run at once
+ * @param {Function} task - Function returning a promise
+ * @returns {Promise} Promise settled with the task's result
+ */
+function scheduleObservationFetch(task) {
+  return new Promise((resolve, reject) => {
+    observationFetchQueue.push({ task, resolve, reject });
+    drainObservationFetchQueue();
+  });
+}
+
+/**
+ * Start queued observation fetches up to the concurrency limit
+ */
+function drainObservationFetchQueue() {
+  while (activeObservationFetches < OBSERVATION_FETCH_CONCURRENCY && observationFetchQueue.length > 0) {
+    const { task, resolve, reject } = observationFetchQueue.shift();
+    activeObservationFetches++;
+    
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        activeObservationFetches--;
+        drainObservationFetchQueue();
+      });
+  }
+}
+
+/**
+ * Read a quantitative value from the NWS API
+ * @param {Object} quantity - Object with value and unitCode
+ * @returns {Number} Value or null if missing
+ */
+function getValue(quantity) {
+  return quantity && typeof quantity.value === 'number' ? quantity.value : null;
+}
+
+/**
+ * Convert Celsius to whole degrees Fahrenheit
+ * @param {Number} celsius - Temperature in °C
+ * @returns {Number} Temperature in °F or null
+ */
+function celsiusToFahrenheit(celsius) {
+  return celsius !== null ? Math.round(celsius * 9 / 5 + 32) : null;
+}
+
+/**
+ * Round a value to a whole number
+ * @param {Number} value - Value
+ * @returns {Number} Rounded value or null
+ */
+function roundValue(value) {
+  return value !== null ? Math.round(value) : null;
+}
@@ -0,0 +1,138 @@
+/**
+ * Offline Area Service
+ * Handles working out which basemap tiles cover an area and how much space they need
+ */
+
+import * as mapService from './mapService';
+import * as cacheService from './cacheService';
+
+// Area limits
+const MAX_AREA_TILES = 10000; // Keeps one download reasonable even where bulk downloads are allowed
+const AVERAGE_TILE_BYTES = 20 * 1024; // Rough size of a raster basemap tile
+const STORAGE_HEADROOM = 0.9; // Share of the free space an area may fill
+const MAX_LATITUDE = 85.0511; // Web Mercator limit
+
+/**
+ * Count the tiles covering an area
+ * @param {Object} bounds - Bounds object with north, south, east, west properties
+ * @param {Number} minZoom - Lowest zoom level to save
+ * @param {Number} maxZoom - Highest zoom level to save
+ * @returns {Number} Tile count
+ */
+export function countAreaTiles(bounds, minZoom, maxZoom) {
+  let count = 0;
+  
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const range = getTileRange(bounds, zoom);
+    count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+  }
+  
+  return count;
+}
+
+/**
+ * Check whether a basemap's tile server allows saving areas for offline use
+ * @param {String} basemapId - Basemap id from mapService.getBasemaps
+ * @returns {Boolean} Whether its tiles may be downloaded in bulk
+ */
+export function canDownloadBasemap(basemapId) {
+  return mapService.getOfflineBasemaps().some(basemap => basemap.id === basemapId);
+}
+
+/**
+ * Get the URLs of the basemap tiles covering an area, lowest zoom first
+ * @param {Object} area - Area { bounds, minZoom, maxZoom, basemap }
+ * @returns {Array<String>} Tile URLs
+ */
+export function getAreaTileUrls(area) {
+  const urls = [];
+  
+  for (let zoom = area.minZoom; zoom <= area.maxZoom; zoom++) {
+    const range = getTileRange(area.bounds, zoom);
+    
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        urls.push(mapService.getBasemapTileUrl(area.basemap, { x, y, z: zoom }));
+      }
+    }
+  }
+  
+  return urls;
+}
+
+/**
+ * Estimate the download of an area and check it fits the tile limit and free storage
+ * @param {Object} bounds - Bounds object with north, south, east, west properties
+ * @param {Number} minZoom - Lowest zoom level to save
+ * @param {Number} maxZoom - Highest zoom level to save
+ * @returns {Promise<Object>} Estimate { tileCount, bytes, freeBytes, fits, reason }, where
+ *   freeBytes is null if the browser can't tell and reason explains why it doesn't fit
+ */
+export async function estimateArea(bounds, minZoom, maxZoom) {
+  const tileCount = countAreaTiles(bounds, minZoom, maxZoom);
+  const bytes = tileCount * AVERAGE_TILE_BYTES;
+  const storage = await cacheService.getStorageEstimate();
+  const freeBytes = storage ? Math.max(0, storage.quota - storage.usage) : null;
+  let reason = null;
+  
+  if (tileCount > MAX_AREA_TILES) {
+    reason = `Too many tiles (limit ${MAX_AREA_TILES.toLocaleString()}); pick a smaller area or fewer zoom levels`;
+  } else if (freeBytes !== null && bytes > freeBytes * STORAGE_HEADROOM) {
+    reason = 'Not enough free storage on this device';
+  }
+  
+  return { tileCount, bytes, freeBytes, fits: reason === null, reason };
+}
+
+/**
+ * Format a byte count for display
+ * @param {Number} bytes - Size in bytes
+ * @returns {String} E.g. '12.5 MB'
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+/**
+ * Get the tile columns and rows covering bounds at a zoom level
+ * @param {Object} bounds - Bounds object with north, south, east, west properties
+ * @param {Number} zoom - Zoom level
+ * @returns {Object} { minX, maxX, minY, maxY }
+ */
+function getTileRange(bounds, zoom) {
+  const tiles = Math.pow(2, zoom);
+  const [minX, minY] = getTile(bounds.north, bounds.west, zoom);
+  const [maxX, maxY] = getTile(bounds.south, bounds.east, zoom);
+  
+  return {
+    minX: Math.max(0, minX),
+    maxX: Math.min(tiles - 1, maxX),
+    minY: Math.max(0, minY),
+    maxY: Math.min(tiles - 1, maxY)
+  };
+}
+
+/**
+ * Get the tile containing a point
+ * @param {Number} lat - Latitude
+ * @param {Number} lng - Longitude
+ * @param {Number} zoom - Zoom level
+ * @returns {Array<number>} Tile column and row [x, y]
+ */
+function getTile(lat, lng, zoom) {
+  const tiles = Math.pow(2, zoom);
+  const latRad = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180;
+  
+  return [
+    Math.floor((lng + 180) / 360 * tiles),
+    Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * tiles)
+  ];
+}
@@ -0,0 +1,111 @@
+/**
+ * Precipitation Service
+ * Handles estimates of when precipitation starts or ends at a point, from radar echo motion
+ */
+
+import * as nowcastService from './nowcastService';
+
+// Estimate settings
+const HORIZON_MINUTES = 60; // How far ahead to look
+const SAMPLE_RADIUS = 2; // Pixels around the point that count as "here"
+const MIN_ECHO_COVERAGE = 0.3; // Share of those pixels with echo that counts as precipitation
+const MIN_HORIZON_MINUTES = 10; // Shorter look-aheads are too short to say "no rain expected"
+const STALE_CHANGE_MINUTES = 10; // A start or end further in the past than this says nothing useful
+
+/**
+ * Estimate when precipitation starts or ends at a point
+ * Follows the echo motion backwards from the point to find what will pass over it
+ * @param {Object} analysis - Result of nowcastService.analyzeFrames
+ * @param {Array} point - Point coordinates [lat, lng]
+ * @returns {Object} Estimate { raining, change, time, validAt }, where change is 'start', 'end'
+ *   or null and time is when it happens, or how far the look-ahead reached when there is no
+ *   change; null if the point is outside the analysis
+ */
+export function estimatePrecipitation(analysis, point) {
+  const pixel = analysis ? nowcastService.getPixelForPoint(analysis, point) : null;
+  
+  if (!pixel) {
+    return null;
+  }
+  
+  const baseTime = analysis.baseTime.getTime();
+  const raining = nowcastService.getEchoCoverage(analysis, pixel[0], pixel[1], SAMPLE_RADIUS) >= MIN_ECHO_COVERAGE;
+  let [x, y] = pixel;
+  let minutes = 0;
+  
+  while (minutes < HORIZON_MINUTES) {
+    const [u, v] = nowcastService.getMotionAt(analysis, x, y);
+    x -= u;
+    y -= v;
+    
+    const coverage = nowcastService.getEchoCoverage(analysis, x, y, SAMPLE_RADIUS);
+    
+    // The track left the sampled view
+    if (coverage === null) break;
+    
+    minutes++;
+    
+    if ((coverage >= MIN_ECHO_COVERAGE) !== raining) {
+      return {
+        raining,
+        change: raining ? 'end' : 'start',
+        time: new Date(baseTime + minutes * 60000),
+        validAt: analysis.baseTime
+      };
+    }
+  }
+  
+  return {
+    raining,
+    change: null,
+    time: new Date(baseTime + minutes * 60000),
+    validAt: analysis.baseTime
+  };
+}
+
+/**
+ * Describe an estimate as a short status line
+ * @param {Object} estimate - Result of estimatePrecipitation
+ * @param {Number} [now] - Current time in milliseconds
+ * @returns {String} E.g. 'Rain starting in ~15 min' or 'Rain ending around 14:40', or '' if
+ *   there is nothing useful to say
+ */
+export function formatPrecipitationStatus(estimate, now = Date.now()) {
+  if (!estimate) {
+    return '';
+  }
+  
+  const minutes = Math.round((estimate.time.getTime() - now) / 60000);
+  
+  // Radar updates stalled long enough for the change to be old news
+  if (estimate.change && minutes < -STALE_CHANGE_MINUTES) {
+    return '';
+  }
+  
+  if (estimate.change === 'start') {
+    return minutes < 5
+      ? 'Rain starting in a few minutes'
+      : `Rain starting in ~${Math.round(minutes / 5) * 5} min`;
+  }
+  
+  if (estimate.change === 'end') {
+    return `Rain ending around ${formatTime(estimate.time)}`;
+  }
+  
+  if (minutes < MIN_HORIZON_MINUTES) {
+    return estimate.raining ? 'Raining now' : '';
+  }
+  
+  return estimate.raining
+    ? `Rain continuing past ${formatTime(estimate.time)}`
+    : `No rain expected in the next ${minutes} min`;
+}
+
+/**
+ * Format a time for display
+ * @param {Date} date - Time
+ * @returns {String} Hours and minutes
+ */
+function formatTime(date) {
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
@@ -0,0 +1,282 @@
+/**
+ * Radar Provider Service
+ * Pluggable radar (and satellite imagery) data providers and failover between them
+ *
+ * A provider is an object with:
+ * - id, label: identifier and display name
+ * - kind: 'radar' or 'satellite'; providers only fail over to providers of the same kind
+ * - attribution: attribution text for its layers
+ * - maxZoom: highest zoom level with native data (tiles are scaled up beyond it)
+ * - products: product ids it supports, or null for every product of its kind
+ * - resolveSource(productId, bounds): Promise of a source for the view (or null)
+ * - getFrameTimes(source, loopMinutes, maxFrames, forceRefresh): Promise of Dates, oldest first
+ * - createLayer(source, timestamp, opacity): Leaflet layer for one frame
+ * - getLegendUrl(source): legend image URL, or null if there is none
+ * - queryValue(source, point, timestamp): Promise of { value, units }, or null if unsupported
+ * - getImageUrl(source, timestamp, bounds, width, height): URL of one Web Mercator image of the
+ *   frame for nowcasting, or null if unsupported
+ */
+
+import L from 'leaflet';
+import * as weatherService from './weatherService';
+import * as regionService from './regionService';
+import * as satelliteService from './satelliteService';
+
+// Iowa Environmental Mesonet NEXRAD composite
+const IEM_TILE_URL = 'https://mesonet.agron.iastate.edu/cache/tile.py/1.0.0';
+const IEM_STATUS_URL = 'https://mesonet.agron.iastate.edu/data/gis/images/4326/USCOMP/n0q_0.json';
+const IEM_FRAME_INTERVAL = 5 * 60 * 1000; // Composites every 5 minutes
+const IEM_STATUS_CACHE_DURATION = 60 * 1000; // 1 minute
+let iemStatusCache = null; // { valid: Date, timestamp }
+
+// Provider used when none is chosen
+const DEFAULT_PROVIDER = 'noaa';
+
+// NOAA/NWS GeoServer WMS (all products and regions, legends and value queries)
+const noaaProvider = {
+  id: 'noaa',
+  kind: 'radar',
+  label: 'NOAA/NWS (WMS)',
+  attribution: 'NOAA/National Weather Service',
+  maxZoom: 19,
+  products: null,
+  
+  async resolveSource(productId, bounds) {
+    const source = await weatherService.resolveRadarSource(productId, bounds);
+    return source ? { ...source, provider: 'noaa' } : null;
+  },
+  
+  getFrameTimes(source, loopMinutes, maxFrames, forceRefresh) {
+    return weatherService.getRadarFrameTimes(loopMinutes, maxFrames, forceRefresh, source);
+  },
+  
+  createLayer(source, timestamp, opacity) {
+    return L.tileLayer.wms(weatherService.getRadarLayerUrl(source), {
+      ...weatherService.getRadarLayerParams(opacity, timestamp, source),
+      attribution: this.attribution,
+      maxNativeZoom: this.maxZoom
+    });
+  },
+  
+  getLegendUrl(source) {
+    return weatherService.getRadarLegendUrl(source);
+  },
+  
+  queryValue(source, point, timestamp) {
+    return weatherService.getRadarValueAt(source, point, timestamp);
+  },
+  
+  getImageUrl(source, timestamp, bounds, width, height) {
+    return weatherService.getRadarImageUrl(source, timestamp, bounds, width, height);
+  }
+};
+
+// Iowa Environmental Mesonet XYZ tiles (CONUS base reflectivity only)
+const iemProvider = {
+  id: 'iem',
+  kind: 'radar',
+  label: 'Iowa Environmental Mesonet (tiles)',
+  attribution: 'NEXRAD composite via <a href="https://mesonet.agron.iastate.edu/">Iowa Environmental Mesonet</a>',
+  maxZoom: 8,
+  products: ['bref'],
+  
+  async resolveSource(productId, bounds) {
+    if (!this.products.includes(productId)) return null;
+    if (regionService.getRadarRegionForBounds(bounds) !== 'conus') return null;
+    
+    return {
+      provider: 'iem',
+      product: productId,
+      label: 'Base reflectivity · Lower 48',
+      region: 'conus',
+      site: null,
+      url: IEM_TILE_URL,
+      layer: 'USCOMP-N0Q',
+      units: 'dBZ',
+      nowcast: true
+    };
+  },
+  
+  async getFrameTimes(source, loopMinutes, maxFrames, forceRefresh) {
+    const newest = (await getIemLatestTime(forceRefresh)).getTime();
+    const frameCount = Math.floor(loopMinutes * 60000 / IEM_FRAME_INTERVAL) + 1;
+    const step = Math.max(1, Math.ceil(frameCount / maxFrames));
+    const times = [];
+    
+    // Thin out long loops, always keeping the newest composite
+    for (let i = 0; i < frameCount; i += step) {
+      times.unshift(new Date(newest - i * IEM_FRAME_INTERVAL));
+    }
+    
+    return times;
+  },
+  
+  createLayer(source, timestamp, opacity) {
+    return L.tileLayer(`${IEM_TILE_URL}/ridge::${source.layer}-${formatIemTime(timestamp)}/{z}/{x}/{y}.png`, {
+      opacity,
+      attribution: this.attribution,
+      maxNativeZoom: this.maxZoom
+    });
+  },
+  
+  getLegendUrl() {
+    return null;
+  },
+  
+  queryValue: null,
+  
+  getImageUrl: null
+};
+
+// NOAA nowCOAST WMS (GOES satellite imagery)
+const nowcoastProvider = {
+  id: 'nowcoast',
+  kind: 'satellite',
+  label: 'NOAA nowCOAST (WMS)',
+  attribution: 'NOAA nowCOAST, GOES imagery',
+  maxZoom: 19,
+  products: null,
+  
+  async resolveSource(productId) {
+    return { ...satelliteService.resolveSatelliteSource(productId), provider: 'nowcoast' };
+  },
+  
+  getFrameTimes(source, loopMinutes, maxFrames, forceRefresh) {
+    return satelliteService.getSatelliteFrameTimes(source, loopMinutes, maxFrames, forceRefresh);
+  },
+  
+  createLayer(source, timestamp, opacity) {
+    // Same GeoServer WMS parameters as the NWS radar layers
+    return L.tileLayer.wms(source.url, {
+      ...weatherService.getRadarLayerParams(opacity, timestamp, source),
+      attribution: this.attribution,
+      maxNativeZoom: this.maxZoom
+    });
+  },
+  
+  getLegendUrl() {
+    return null;
+  },
+  
+  queryValue: null,
+  
+  getImageUrl: null
+};
+
+// Registered providers, in failover order
+const PROVIDERS = [noaaProvider, iemProvider, nowcoastProvider];
+
+// Products of each kind of provider
+const PRODUCTS_BY_KIND = {
+  radar: weatherService.getRadarProducts(),
+  satellite: satelliteService.getSatelliteProducts()
+};
+
+/**
+ * Get the available providers of a kind
+ * @param {String} [kind] - 'radar' or 'satellite'
+ * @returns {Array<Object>} Providers with id and label
+ */
+export function getRadarProviders(kind = 'radar') {
+  return PROVIDERS
+    .filter(provider => provider.kind === kind)
+    .map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Get a radar provider by id
+ * @param {String} id - Provider id
+ * @returns {Object} Provider (the default one if the id is unknown)
+ */
+export function getRadarProvider(id) {
+  return PROVIDERS.find(provider => provider.id === id) ||
+    PROVIDERS.find(provider => provider.id === DEFAULT_PROVIDER);
+}
+
+/**
+ * Get the radar products a provider offers
+ * @param {String} id - Provider id
+ * @returns {Array<Object>} Products with id and label
+ */
+export function getProviderProducts(id) {
+  const provider = getRadarProvider(id);
+  
+  return PRODUCTS_BY_KIND[provider.kind].filter(product => supportsProduct(provider, product.id));
+}
+
+/**
+ * Pick the next provider to try after a failure
+ * @param {String} productId - Product being shown
+ * @param {Array<String>} triedIds - Providers that already failed
+ * @returns {Object} Provider, or null if none is left
+ */
+export function getFailoverProvider(productId, triedIds) {
+  return PROVIDERS.find(provider => 
+    !triedIds.includes(provider.id) &&
+    PRODUCTS_BY_KIND[provider.kind].some(product => product.id === productId) &&
+    supportsProduct(provider, productId)
+  ) || null;
+}
+
+/**
+ * Check whether a short forecast can be extrapolated for a source
+ * @param {Object} source - Source from a provider's resolveSource
+ * @returns {Boolean} Whether the product moves with the echoes and frame images can be sampled
+ */
+export function canNowcast(source) {
+  return Boolean(source && source.nowcast && getRadarProvider(source.provider).getImageUrl);
+}
+
+/**
+ * Check whether a provider offers a product
+ * @param {Object} provider - Provider object
+ * @param {String} productId - Product id
+ * @returns {Boolean} Whether the product is supported
+ */
+function supportsProduct(provider, productId) {
+  return !provider.products || provider.products.includes(productId);
+}
+
+/**
+ * Get the time of the newest IEM composite
+ * @param {Boolean} forceRefresh - Whether to ignore the cached status
+ * @returns {Promise<Date>} Composite time
+ */
+async function getIemLatestTime(forceRefresh = false) {
+  if (!forceRefresh && iemStatusCache && Date.now() - iemStatusCache.timestamp < IEM_STATUS_CACHE_DURATION) {
+    return iemStatusCache.valid;
+  }
+  
+  try {
+    const response = await fetch(IEM_STATUS_URL);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    const valid = new Date(data.meta && data.meta.valid);
+    
+    if (isNaN(valid.getTime())) {
+      throw new Error('No valid time in IEM composite status');
+    }
+    
+    iemStatusCache = { valid, timestamp: Date.now() };
+    return valid;
+  } catch (error) {
+    console.warn('Error reading IEM composite time, estimating it:', error);
+    
+    // Composites appear a few minutes after their nominal time
+    const estimate = Math.floor((Date.now() - IEM_FRAME_INTERVAL) / IEM_FRAME_INTERVAL) * IEM_FRAME_INTERVAL;
+    return new Date(estimate);
+  }
+}
+
+/**
+ * Format a time as used in IEM layer names (YYYYMMDDHHMI, UTC)
+ * @param {Date} date - Time
+ * @returns {String} Formatted time
+ */
+function formatIemTime(date) {
+  return date.toISOString().slice(0, 16).replace(/[-T:]/g, '');
+}
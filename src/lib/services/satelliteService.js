@@ -0,0 +1,60 @@
+/**
+ * Satellite Service
+ * Handles GOES satellite imagery products served over WMS by NOAA nowCOAST
+ */
+
+import * as weatherService from './weatherService';
+
+// nowCOAST GeoServer satellite workspace
+const NOWCOAST_SATELLITE_URL = 'https://nowcoast.noaa.gov/geoserver/satellite';
+
+// GOES (and partner geostationary) imagery mosaics
+const SATELLITE_PRODUCTS = [
+  { id: 'sat_visible', label: 'Visible', layer: 'global_visible_imagery_mosaic' },
+  { id: 'sat_infrared', label: 'Infrared', layer: 'global_longwave_imagery_mosaic' },
+  { id: 'sat_water_vapor', label: 'Water vapor', layer: 'global_water_vapor_imagery_mosaic' }
+];
+const DEFAULT_SATELLITE_PRODUCT = 'sat_infrared';
+
+/**
+ * Get the satellite products that can be picked
+ * @returns {Array<Object>} Products with id and label
+ */
+export function getSatelliteProducts() {
+  return SATELLITE_PRODUCTS.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Get the WMS layer of a satellite product
+ * The mosaics are global, so every view gets the same layer
+ * @param {String} productId - Product id from getSatelliteProducts
+ * @returns {Object} Source { product, label, region, site, url, layer, units, nowcast }
+ */
+export function resolveSatelliteSource(productId) {
+  const product = SATELLITE_PRODUCTS.find(item => item.id === productId) ||
+    SATELLITE_PRODUCTS.find(item => item.id === DEFAULT_SATELLITE_PRODUCT);
+  
+  return {
+    product: product.id,
+    label: `Satellite · ${product.label}`,
+    region: null,
+    site: null,
+    url: `${NOWCOAST_SATELLITE_URL}/${product.layer}/ows`,
+    layer: product.layer,
+    units: '',
+    nowcast: false
+  };
+}
+
+/**
+ * Get the times of the latest satellite images from the WMS capabilities
+ * @param {Object} source - Source from resolveSatelliteSource
+ * @param {Number} loopMinutes - How far back from the newest image the loop reaches
+ * @param {Number} maxFrames - Most frames to return
+ * @param {Boolean} forceRefresh - Whether to ignore the cached time list
+ * @returns {Promise<Array<Date>>} Image times, oldest first
+ */
+export function getSatelliteFrameTimes(source, loopMinutes, maxFrames, forceRefresh = false) {
+  // Same GeoServer TIME dimension handling as the radar layers
+  return weatherService.getRadarFrameTimes(loopMinutes, maxFrames, forceRefresh, source);
+}
@@ -3,6 +3,8 @@
  * Handles registering and updating the service worker
  */
 
+import * as mapService from './mapService';
+
 // Check if service workers are supported
 const isServiceWorkerSupported = 'serviceWorker' in navigator;
 
@@ -17,7 +19,9 @@ export async function registerServiceWorker() {
   }
   
   try {
-    const registration = await navigator.serviceWorker.register('/service-worker.js', {
+    // The worker can't import app modules, so it learns the basemap tile hosts from its URL
+    const tileHosts = encodeURIComponent(mapService.getBasemapTileHosts().join(','));
+    const registration = await navigator.serviceWorker.register(`/service-worker.js?tiles=${tileHosts}`, {
       scope: '/'
     });
     
@@ -43,6 +47,15 @@ export async function registerServiceWorker() {
       });
     });
     
+    // Forward alert notification clicks to the application
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'OPEN_ALERT') {
+        window.dispatchEvent(new CustomEvent('openAlert', {
+          detail: { alertId: event.data.alertId }
+        }));
+      }
+    });
+    
     // Handle controller change
     navigator.serviceWorker.addEventListener('controllerchange', () => {
       console.log('New service worker activated');
@@ -0,0 +1,216 @@
+/**
+ * Storm Motion Service
+ * Parses NWS storm motion (eventMotionDescription) and projects storm tracks
+ */
+
+import * as mapService from './mapService';
+
+// Format: "2024-05-20T21:43:00-00:00...storm...259DEG...36KT...40.73,-96.08 40.66,-96.33"
+const MOTION_PATTERN = /^(.+?)\.\.\.(.+?)\.\.\.(\d{1,3})DEG\.\.\.(\d{1,3})KT\.\.\.(.+)$/i;
+
+// Unit conversions
+const KM_PER_NAUTICAL_MILE = 1.852;
+const MILES_PER_KM = 0.621371;
+
+// How close a storm's path must pass to count as reaching a point
+const IMPACT_RADIUS_KM = 10;
+
+// Projected tracks stop after this long
+const MAX_TRACK_MINUTES = 60;
+
+// Compass points for describing headings
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Parse an NWS eventMotionDescription
+ * @param {String} text - Motion description
+ * @returns {Object} Motion with time, kind, direction (degrees the storm comes from),
+ *   heading (degrees it moves toward), speedKt, speedKmh and locations ([lat, lng] points),
+ *   or null if the text can't be parsed
+ */
+export function parseEventMotion(text) {
+  const match = MOTION_PATTERN.exec(String(text || '').trim());
+  
+  if (!match) {
+    return null;
+  }
+  
+  const [, timeText, kind, directionText, speedText, locationText] = match;
+  const time = new Date(timeText);
+  
+  const locations = locationText
+    .trim()
+    .split(/\s+/)
+    .map(pair => pair.split(',').map(Number))
+    .filter(pair => pair.length === 2 && pair.every(value => !isNaN(value)));
+  
+  if (isNaN(time.getTime()) || locations.length === 0) {
+    return null;
+  }
+  
+  const direction = Number(directionText) % 360;
+  const speedKt = Number(speedText);
+  
+  return {
+    time,
+    kind: kind.toLowerCase(),
+    direction,
+    heading: (direction + 180) % 360,
+    speedKt,
+    speedKmh: speedKt * KM_PER_NAUTICAL_MILE,
+    locations
+  };
+}
+
+/**
+ * Get the storm motion carried by an alert
+ * @param {Object} alert - Weather alert object
+ * @returns {Object} Parsed motion or null
+ */
+export function getAlertMotion(alert) {
+  const parameters = alert && alert.properties ? alert.properties.parameters : null;
+  
+  if (!parameters || !parameters.eventMotionDescription) {
+    return null;
+  }
+  
+  const descriptions = [].concat(parameters.eventMotionDescription);
+  return parseEventMotion(descriptions[0]);
+}
+
+/**
+ * Project where the storm locations will be at a given time
+ * @param {Object} motion - Parsed motion
+ * @param {Date} date - Time to project to
+ * @returns {Array<Array<number>>} Projected [lat, lng] points
+ */
+export function projectLocations(motion, date) {
+  const hours = (date.getTime() - motion.time.getTime()) / 3600000;
+  const distance = motion.speedKmh * hours;
+  
+  return motion.locations.map(location => 
+    mapService.calculateDestination(location, motion.heading, distance)
+  );
+}
+
+/**
+ * Get the projected track of each storm location
+ * @param {Object} motion - Parsed motion
+ * @param {Number} [minutes] - How far ahead of the motion time to project
+ * @param {Number} [stepMinutes] - Time between track points
+ * @returns {Array<Object>} Track points { time, locations } from the motion time onwards
+ */
+export function getProjectedTrack(motion, minutes = MAX_TRACK_MINUTES, stepMinutes = 15) {
+  const track = [];
+  
+  for (let offset = 0; offset <= minutes; offset += stepMinutes) {
+    const time = new Date(motion.time.getTime() + offset * 60000);
+    track.push({ time, locations: projectLocations(motion, time) });
+  }
+  
+  return track;
+}
+
+/**
+ * Estimate when a storm reaches a point
+ * A single location is treated as a storm cell, several as a line moving as a whole
+ * @param {Object} motion - Parsed motion
+ * @param {Array} point - Point coordinates [lat, lng]
+ * @returns {Object} { arrival: Date, distanceKm } or null if the storm is stationary,
+ *   moving away or passing to the side
+ */
+export function estimateArrival(motion, point) {
+  if (!motion || !point || motion.speedKmh <= 0) {
+    return null;
+  }
+  
+  const headingRad = motion.heading * Math.PI / 180;
+  
+  // Storm locations in km relative to the point: along = distance ahead of the storm
+  // on its path, across = sideways offset from the path
+  const offsets = motion.locations.map(location => {
+    const distance = mapService.calculateDistance(point, location);
+    const angle = (mapService.calculateBearing(point, location) * Math.PI / 180) - headingRad;
+    
+    return {
+      along: -distance * Math.cos(angle),
+      across: distance * Math.sin(angle)
+    };
+  }).sort((a, b) => a.across - b.across);
+  
+  const distanceKm = getDistanceAlongPath(offsets);
+  
+  if (distanceKm === null || distanceKm < -IMPACT_RADIUS_KM) {
+    return null;
+  }
+  
+  const hours = Math.max(distanceKm, 0) / motion.speedKmh;
+  
+  return {
+    arrival: new Date(motion.time.getTime() + hours * 3600000),
+    distanceKm: Math.max(distanceKm, 0)
+  };
+}
+
+/**
+ * Format a motion for display (e.g. "NE at 41 mph")
+ * @param {Object} motion - Parsed motion
+ * @returns {String} Heading and speed
+ */
+export function formatMotion(motion) {
+  if (!motion) return '';
+  
+  if (motion.speedKt === 0) {
+    return 'Stationary';
+  }
+  
+  const compass = COMPASS_POINTS[Math.round(motion.heading / 45) % COMPASS_POINTS.length];
+  const mph = Math.round(motion.speedKmh * MILES_PER_KM);
+  
+  return `${compass} at ${mph} mph`;
+}
+
+/**
+ * Format a distance for display in miles
+ * @param {Number} km - Distance in kilometers
+ * @returns {String} Distance (e.g. "12 mi")
+ */
+export function formatDistance(km) {
+  return `${Math.round(km * MILES_PER_KM)} mi`;
+}
+
+/**
+ * Find how far the storm must travel to reach the point
+ * @param {Array<Object>} offsets - Storm locations relative to the point, sorted by across
+ * @returns {Number} Distance in km (negative if already past) or null if the path misses
+ */
+function getDistanceAlongPath(offsets) {
+  if (offsets.length === 1) {
+    return Math.abs(offsets[0].across) <= IMPACT_RADIUS_KM ? offsets[0].along : null;
+  }
+  
+  const first = offsets[0];
+  const last = offsets[offsets.length - 1];
+  
+  // Beyond the ends of the line
+  if (first.across > IMPACT_RADIUS_KM || last.across < -IMPACT_RADIUS_KM) {
+    return null;
+  }
+  
+  if (first.across >= 0) return first.along;
+  if (last.across <= 0) return last.along;
+  
+  // Interpolate along the segment of the line that crosses the path
+  for (let i = 1; i < offsets.length; i++) {
+    const start = offsets[i - 1];
+    const end = offsets[i];
+    
+    if (start.across <= 0 && end.across >= 0) {
+      const span = end.across - start.across;
+      const ratio = span === 0 ? 0 : -start.across / span;
+      return start.along + (end.along - start.along) * ratio;
+    }
+  }
+  
+  return null;
+}
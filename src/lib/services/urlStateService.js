@@ -0,0 +1,113 @@
+/**
+ * URL State Service
+ * Handles encoding the shared view (map, layers, radar product and time, alert) in the URL hash
+ */
+
+// Layers that can be listed in the hash
+const LAYER_NAMES = ['radar', 'satellite', 'stations', 'alerts'];
+
+// Decimal places kept for the map center (~10 m)
+const CENTER_PRECISION = 4;
+
+/**
+ * Read the view state from a URL hash
+ * Only the keys present in the hash are set; e.g. '#alert=<id>' gives just { alert }
+ * @param {String} [hash] - URL hash, with or without the leading '#'
+ * @returns {Object} State { center, zoom, layers, product, time, alert }
+ */
+export function parseHash(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = {};
+  
+  // map=<zoom>/<lat>/<lng>
+  if (params.has('map')) {
+    const [zoom, lat, lng] = params.get('map').split('/').map(Number);
+    
+    if ([zoom, lat, lng].every(Number.isFinite) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+      state.center = [lat, lng];
+      state.zoom = zoom;
+    }
+  }
+  
+  if (params.has('layers')) {
+    const names = params.get('layers').split(',');
+    state.layers = LAYER_NAMES.reduce((layers, name) => ({ ...layers, [name]: names.includes(name) }), {});
+  }
+  
+  if (params.get('product')) {
+    state.product = params.get('product');
+  }
+  
+  if (params.has('time')) {
+    const time = new Date(params.get('time'));
+    
+    if (!isNaN(time.getTime())) {
+      state.time = time;
+    }
+  }
+  
+  if (params.get('alert')) {
+    state.alert = params.get('alert');
+  }
+  
+  return state;
+}
+
+/**
+ * Build a URL hash from the view state
+ * @param {Object} state - State { center, zoom, layers, product, time, alert }; missing keys are left out
+ * @returns {String} Hash including the leading '#', or '' if there is nothing to encode
+ */
+export function buildHash(state) {
+  const parts = [];
+  
+  if (state.center && state.zoom !== undefined && state.zoom !== null) {
+    const zoom = Math.round(state.zoom * 100) / 100;
+    const lat = state.center[0].toFixed(CENTER_PRECISION);
+    const lng = state.center[1].toFixed(CENTER_PRECISION);
+    parts.push(`map=${zoom}/${lat}/${lng}`);
+  }
+  
+  if (state.layers) {
+    parts.push(`layers=${LAYER_NAMES.filter(name => state.layers[name]).join(',')}`);
+  }
+  
+  if (state.product) {
+    parts.push(`product=${encodeURIComponent(state.product)}`);
+  }
+  
+  if (state.time) {
+    // Whole minutes are enough to pick a frame
+    parts.push(`time=${state.time.toISOString().replace(/:\d{2}\.\d{3}Z$/, 'Z')}`);
+  }
+  
+  if (state.alert) {
+    parts.push(`alert=${encodeURIComponent(state.alert)}`);
+  }
+  
+  return parts.length > 0 ? `#${parts.join('&')}` : '';
+}
+
+/**
+ * Write the view state to the URL hash
+ * @param {Object} state - State { center, zoom, layers, product, time, alert }
+ * @param {Boolean} push - Whether to add a history entry (for back/forward) instead of replacing the current one
+ * @returns {Boolean} Whether the URL changed
+ */
+export function writeUrlState(state, push = false) {
+  const hash = buildHash(state);
+  
+  if (hash === window.location.hash) {
+    return false;
+  }
+  
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  
+  if (push) {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(null, '', url);
+  }
+  
+  return true;
+}
@@ -3,41 +3,160 @@
  * Handles fetching and processing weather data
  */
 
+import * as cacheService from './cacheService';
+import * as geometryService from './geometryService';
+import * as regionService from './regionService';
+import * as alertTaxonomyService from './alertTaxonomyService';
+import * as mapService from './mapService';
+
 // NWS API endpoints
 const NWS_BASE_URL = 'https://api.weather.gov';
 const NWS_ALERTS_URL = `${NWS_BASE_URL}/alerts/active`;
-const NWS_RADAR_URL = 'https://opengeo.ncep.noaa.gov/geoserver/conus/conus_bref_qcd/ows';
-
-// Cache settings
-const CACHE_DURATION = 10 * 60 * 1000; // 10 minutes in milliseconds
-let alertsCache = {
-  data: null,
-  timestamp: null,
-  bounds: null
+const NWS_RADAR_STATIONS_URL = `${NWS_BASE_URL}/radar/stations?stationType=WSR-88D`;
+const NWS_POINTS_URL = `${NWS_BASE_URL}/points`;
+const NWS_GEOSERVER_URL = 'https://opengeo.ncep.noaa.gov/geoserver';
+
+// Radar products. Mosaics are published per region workspace as '{region}_{layer}';
+// single-site products come from the nearest radar's workspace as '{site}_{layer}'.
+// Products marked nowcast show moving echoes that can be extrapolated into a short forecast
+const RADAR_PRODUCTS = [
+  { id: 'bref', label: 'Base reflectivity', layer: 'bref_qcd', units: 'dBZ', regions: ['conus', 'alaska', 'hawaii', 'carib', 'guam'], nowcast: true },
+  { id: 'cref', label: 'Composite reflectivity', layer: 'cref_qcd', units: 'dBZ', regions: ['conus'], nowcast: true },
+  { id: 'pcpn_typ', label: 'Precipitation type', layer: 'pcpn_typ', regions: ['conus'] },
+  { id: 'echo_tops', label: 'Echo tops', layer: 'neet_v18', units: 'kft', regions: ['conus'] },
+  { id: 'bvel', label: 'Base velocity', layer: 'sr_bvel', units: 'kt', site: true }
+];
+const DEFAULT_RADAR_PRODUCT = 'bref';
+
+// Radar values at or below this are "no data" / "no echo"
+const RADAR_NO_DATA_VALUE = -99;
+
+// Display names of radar regions
+const RADAR_REGION_NAMES = {
+  conus: 'Lower 48',
+  alaska: 'Alaska',
+  hawaii: 'Hawaii',
+  carib: 'Puerto Rico',
+  guam: 'Guam'
 };
 
+// Radar site settings
+const MAX_RADAR_SITE_DISTANCE = 230; // km; single-site products end around this range
+const RADAR_STATIONS_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+let radarStationsRequest = null; // Promise<Array> of { id, latLng }
+
+// Cache settings (alert feeds are kept for the API cache age setting)
+const MAX_AREA_QUERIES = 20; // Above this many areas, fetch the national feed instead
+const POINT_PRECISION = 3; // Decimal places kept in point query cache keys (~100 m)
+const alertFeedCache = new Map(); // Feed URL -> { data, timestamp }
+
+// Radar frame time settings
+const RADAR_TIMES_CACHE_DURATION = 60 * 1000; // 1 minute; new scans arrive every few minutes
+const MAX_RADAR_TIMES = 500; // Cap on times expanded from a start/end/period range
+const radarTimesCache = new Map(); // Layer URL -> { times, timestamp }
+
+// Forecast settings
+const FORECAST_POINT_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours; grid cells rarely move
+const MAX_HOURLY_PERIODS = 24;
+const forecastPointCache = new Map(); // Points URL -> Promise<Object>
+const forecastCache = new Map(); // Forecast URL (one per grid cell) -> { data, timestamp }
+
+// Zone geometry settings
+const ZONE_FETCH_CONCURRENCY = 6;
+const zoneGeometryRequests = new Map(); // Zone URL -> Promise<geometry>
+const zoneFetchQueue = [];
+let activeZoneFetches = 0;
+
 /**
  * Fetch active weather alerts for a geographic area
+ * Update and cancel messages are included so alert lifecycles can be followed.
+ * Only the NWS areas (states, territories and marine areas) the view touches are
+ * fetched, in a single request
  * @param {Object} bounds - Map bounds object with north, south, east, west properties
  * @param {Boolean} forceRefresh - Whether to force a refresh ignoring cache
  * @returns {Promise<Array>} Array of alert objects
  */
 export async function getActiveAlerts(bounds, forceRefresh = false) {
-  // Check if we have cached data for these bounds
-  if (!forceRefresh && 
-      alertsCache.data && 
-      alertsCache.timestamp && 
-      (Date.now() - alertsCache.timestamp < CACHE_DURATION) &&
-      boundsContained(bounds, alertsCache.bounds)) {
-    return alertsCache.data;
+  const areas = regionService.getAreasForBounds(bounds);
+  
+  // Zoomed far out (or outside any known area) - one national request is cheaper
+  if (areas.length === 0 || areas.length > MAX_AREA_QUERIES) {
+    return fetchAlertFeed(`${NWS_ALERTS_URL}?status=actual`, forceRefresh);
   }
   
-  try {
-    // Construct the URL with bounds parameters
-    // Note: The NWS API expects area parameter in format: point1,point2 where each point is lat,lon
-    // We'll use a simpler approach with a bounding box that's more reliable
-    const url = `${NWS_ALERTS_URL}?status=actual&message_type=alert`;
+  // One request for all the areas; sorted so the same view always hits the same cache key
+  return fetchAlertFeed(
+    `${NWS_ALERTS_URL}?status=actual&area=${[...areas].sort().join(',')}`,
+    forceRefresh
+  );
+}
+
+/**
+ * Fetch active weather alerts covering a single point
+ * @param {Array<number>} point - Point coordinates [lat, lng]
+ * @param {Boolean} forceRefresh - Whether to force a refresh ignoring cache
+ * @returns {Promise<Array>} Array of alert objects
+ */
+export async function getAlertsForPoint(point, forceRefresh = false) {
+  if (!point) {
+    return [];
+  }
+  
+  const lat = point[0].toFixed(POINT_PRECISION);
+  const lng = point[1].toFixed(POINT_PRECISION);
+  
+  return fetchAlertFeed(
+    `${NWS_ALERTS_URL}?status=actual&point=${lat},${lng}`,
+    forceRefresh
+  );
+}
+
+/**
+ * Merge several alert lists, dropping duplicates by alert id
+ * @param {...Array} lists - Arrays of alert objects
+ * @returns {Array} Combined array of unique alerts
+ */
+export function mergeAlerts(...lists) {
+  const seen = new Set();
+  const merged = [];
+  
+  lists.forEach(list => {
+    (list || []).forEach(alert => {
+      const id = alert && alert.properties ? alert.properties.id : null;
+      
+      if (id && seen.has(id)) return;
+      if (id) seen.add(id);
+      
+      merged.push(alert);
+    });
+  });
+  
+  return merged;
+}
+
+/**
+ * Fetch an alert feed, using the memory and offline caches when possible
+ * @param {String} url - Alert feed URL (also used as the cache key)
+ * @param {Boolean} forceRefresh - Whether to skip cached copies
+ * @returns {Promise<Array>} Array of alert features
+ */
+async function fetchAlertFeed(url, forceRefresh = false) {
+  const cached = alertFeedCache.get(url);
+  
+  if (!forceRefresh && cached && (Date.now() - cached.timestamp < cacheService.getApiCacheMaxAge())) {
+    return cached.data;
+  }
+  
+  if (!forceRefresh) {
+    const stored = await cacheService.getCachedApiResponse(url);
     
+    if (stored) {
+      alertFeedCache.set(url, { data: stored, timestamp: Date.now() });
+      return stored;
+    }
+  }
+  
+  try {
     const response = await fetch(url);
     
     if (!response.ok) {
@@ -45,42 +164,318 @@ export async function getActiveAlerts(bounds, forceRefresh = false) {
     }
     
     const data = await response.json();
+    const features = data.features || [];
     
     // Cache the results
-    alertsCache = {
-      data: data.features || [],
-      timestamp: Date.now(),
-      bounds: { ...bounds }
-    };
+    alertFeedCache.set(url, { data: features, timestamp: Date.now() });
+    await cacheService.cacheApiResponse(url, new Response(JSON.stringify(features)));
     
-    return data.features || [];
+    return features;
   } catch (error) {
+    // Fall back to whatever we have when the network is unavailable
+    const stale = cached ? cached.data : await cacheService.getCachedApiResponse(url, Infinity);
+    
+    if (stale) {
+      console.warn('Using cached weather alerts:', error);
+      return stale;
+    }
+    
     console.error('Error fetching weather alerts:', error);
     throw error;
   }
 }
 
+/**
+ * Resolve geometry for alerts that only list affected zones
+ * @param {Array} alerts - Array of alert features
+ * @returns {Promise<Array>} Alerts with zone geometry merged in where needed
+ */
+export async function resolveAlertGeometries(alerts) {
+  if (!alerts || !alerts.length) {
+    return [];
+  }
+  
+  return Promise.all(alerts.map(resolveAlertGeometry));
+}
+
+/**
+ * Resolve geometry for a single alert from its affected zones
+ * Alerts that already carry a geometry are returned unchanged
+ * @param {Object} alert - Weather alert object
+ * @returns {Promise<Object>} Alert with a geometry when one could be resolved
+ */
+export async function resolveAlertGeometry(alert) {
+  if (!alert || alert.geometry || !alert.properties) {
+    return alert;
+  }
+  
+  const zones = alert.properties.affectedZones || [];
+  
+  if (zones.length === 0) {
+    return alert;
+  }
+  
+  const results = await Promise.allSettled(zones.map(getZoneGeometry));
+  const geometries = results
+    .filter(result => result.status === 'fulfilled' && result.value)
+    .map(result => result.value);
+  
+  const geometry = geometryService.mergeGeometries(geometries);
+  
+  if (!geometry) {
+    return alert;
+  }
+  
+  return {
+    ...alert,
+    geometry,
+    properties: {
+      ...alert.properties,
+      geometrySource: 'zones'
+    }
+  };
+}
+
+/**
+ * Get the geometry of an NWS zone
+ * Requests are shared between callers and backed by the zone cache
+ * @param {String} zoneUrl - Zone URL from an alert's affectedZones
+ * @returns {Promise<Object>} GeoJSON geometry or null
+ */
+export function getZoneGeometry(zoneUrl) {
+  if (!zoneGeometryRequests.has(zoneUrl)) {
+    const request = scheduleZoneFetch(() => fetchZoneGeometry(zoneUrl))
+      .catch(error => {
+        // Forget failed requests so they can be retried later
+        zoneGeometryRequests.delete(zoneUrl);
+        throw error;
+      });
+    
+    zoneGeometryRequests.set(zoneUrl, request);
+  }
+  
+  return zoneGeometryRequests.get(zoneUrl);
+}
+
+/**
+ * Fetch a zone geometry from the cache or the network
+ * @param {String} zoneUrl - Zone URL
+ * @returns {Promise<Object>} GeoJSON geometry or null
+ */
+async function fetchZoneGeometry(zoneUrl) {
+  const cachedGeometry = await cacheService.getCachedZoneGeometry(zoneUrl);
+  
+  if (cachedGeometry) {
+    return cachedGeometry;
+  }
+  
+  const response = await fetch(zoneUrl);
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  
+  if (data.geometry) {
+    await cacheService.cacheZoneGeometry(zoneUrl, data.geometry);
+  }
+  
+  return data.geometry || null;
+}
+
+/**
+ * Queue a zone fetch so only a few run at once
+ * @param {Function} task - Function returning a promise
+ * @returns {Promise} Promise settled with the task's result
+ */
+function scheduleZoneFetch(task) {
+  return new Promise((resolve, reject) => {
+    zoneFetchQueue.push({ task, resolve, reject });
+    drainZoneFetchQueue();
+  });
+}
+
+/**
+ * Start queued zone fetches up to the concurrency limit
+ */
+function drainZoneFetchQueue() {
+  while (activeZoneFetches < ZONE_FETCH_CONCURRENCY && zoneFetchQueue.length > 0) {
+    const { task, resolve, reject } = zoneFetchQueue.shift();
+    activeZoneFetches++;
+    
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        activeZoneFetches--;
+        drainZoneFetchQueue();
+      });
+  }
+}
+
+/**
+ * Get the radar products that can be picked
+ * @returns {Array<Object>} Products with id and label
+ */
+export function getRadarProducts() {
+  return RADAR_PRODUCTS.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Work out which WMS layer shows a radar product for a view
+ * Mosaics switch region with the view; single-site products use the radar nearest the view center
+ * @param {String} productId - Product id from getRadarProducts
+ * @param {Object} bounds - Map bounds object with north, south, east, west properties
+ * @returns {Promise<Object>} Radar source { product, label, region, site, url, layer, units, nowcast },
+ *   or null if the product isn't available for the view
+ */
+export async function resolveRadarSource(productId, bounds) {
+  const product = RADAR_PRODUCTS.find(item => item.id === productId) ||
+    RADAR_PRODUCTS.find(item => item.id === DEFAULT_RADAR_PRODUCT);
+  
+  if (product.site) {
+    const center = bounds
+      ? [(bounds.north + bounds.south) / 2, (bounds.east + bounds.west) / 2]
+      : null;
+    const site = center ? await getNearestRadarSite(center) : null;
+    
+    return site ? createRadarSource(product, site, null) : null;
+  }
+  
+  const region = regionService.getRadarRegionForBounds(bounds) || 'conus';
+  
+  return product.regions.includes(region) ? createRadarSource(product, region, region) : null;
+}
+
+/**
+ * Get the default radar source (CONUS base reflectivity)
+ * @returns {Object} Radar source
+ */
+export function getDefaultRadarSource() {
+  const product = RADAR_PRODUCTS.find(item => item.id === DEFAULT_RADAR_PRODUCT);
+  return createRadarSource(product, 'conus', 'conus');
+}
+
+/**
+ * Build a radar source for a product in a GeoServer workspace
+ * @param {Object} product - Entry from RADAR_PRODUCTS
+ * @param {String} workspace - Region or lowercase site id
+ * @param {String} region - Region name, or null for single-site products
+ * @returns {Object} Radar source
+ */
+function createRadarSource(product, workspace, region) {
+  const layer = `${workspace}_${product.layer}`;
+  
+  return {
+    product: product.id,
+    label: `${product.label} · ${region ? RADAR_REGION_NAMES[region] : workspace.toUpperCase()}`,
+    region,
+    site: region ? null : workspace,
+    url: `${NWS_GEOSERVER_URL}/${workspace}/${layer}/ows`,
+    layer,
+    units: product.units || '',
+    nowcast: Boolean(product.nowcast)
+  };
+}
+
+/**
+ * Find the WSR-88D radar nearest to a point
+ * @param {Array} point - Point coordinates [lat, lng]
+ * @returns {Promise<String>} Lowercase site id (e.g. 'kokx'), or null if none is in range
+ */
+async function getNearestRadarSite(point) {
+  let stations;
+  
+  try {
+    stations = await getRadarStations();
+  } catch (error) {
+    console.error('Error loading radar stations:', error);
+    return null;
+  }
+  
+  let nearest = null;
+  let nearestDistance = MAX_RADAR_SITE_DISTANCE;
+  
+  stations.forEach(station => {
+    const distance = mapService.calculateDistance(point, station.latLng);
+    
+    if (distance <= nearestDistance) {
+      nearest = station;
+      nearestDistance = distance;
+    }
+  });
+  
+  return nearest ? nearest.id.toLowerCase() : null;
+}
+
+/**
+ * Load the list of WSR-88D radars, cached for a day
+ * @returns {Promise<Array>} Stations with id and latLng
+ */
+function getRadarStations() {
+  if (!radarStationsRequest) {
+    radarStationsRequest = fetchRadarStations().catch(error => {
+      // Forget failed requests so they can be retried later
+      radarStationsRequest = null;
+      throw error;
+    });
+  }
+  
+  return radarStationsRequest;
+}
+
+/**
+ * Fetch the radar station list from the cache or the network
+ * @returns {Promise<Array>} Stations with id and latLng
+ */
+async function fetchRadarStations() {
+  const cached = await cacheService.getCachedApiResponse(NWS_RADAR_STATIONS_URL, RADAR_STATIONS_CACHE_DURATION);
+  
+  if (cached) {
+    return cached;
+  }
+  
+  const response = await fetch(NWS_RADAR_STATIONS_URL);
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  const stations = (data.features || [])
+    .filter(feature => feature.geometry && feature.properties && feature.properties.id)
+    .map(feature => ({
+      id: feature.properties.id,
+      latLng: [feature.geometry.coordinates[1], feature.geometry.coordinates[0]]
+    }));
+  
+  await cacheService.cacheApiResponse(NWS_RADAR_STATIONS_URL, new Response(JSON.stringify(stations)));
+  
+  return stations;
+}
+
 /**
  * Get the radar layer URL for a WMS service
+ * @param {Object} [source] - Radar source from resolveRadarSource (default: CONUS base reflectivity)
  * @returns {String} URL for the radar WMS layer
  */
-export function getRadarLayerUrl() {
-  return NWS_RADAR_URL;
+export function getRadarLayerUrl(source = getDefaultRadarSource()) {
+  return source.url;
 }
 
 /**
  * Get radar layer parameters for Leaflet WMS
  * @param {Number} opacity - Layer opacity (0-1)
  * @param {Date} [timestamp] - Optional timestamp for historical data
+ * @param {Object} [source] - Radar source from resolveRadarSource (default: CONUS base reflectivity)
  * @returns {Object} WMS parameters object
  */
-export function getRadarLayerParams(opacity = 0.7, timestamp = null) {
+export function getRadarLayerParams(opacity = 0.7, timestamp = null, source = getDefaultRadarSource()) {
   const params = {
-    layers: 'conus_bref_qcd',
+    layers: source.layer,
     format: 'image/png',
     transparent: true,
-    opacity: opacity,
-    attribution: 'NOAA/National Weather Service'
+    opacity: opacity
   };
   
   // Add timestamp if provided
@@ -91,6 +486,273 @@ export function getRadarLayerParams(opacity = 0.7, timestamp = null) {
   return params;
 }
 
+/**
+ * Get the URL of a single radar image covering bounds (WMS GetMap in Web Mercator)
+ * @param {Object} source - Radar source from resolveRadarSource
+ * @param {Date} timestamp - Frame time
+ * @param {Object} bounds - Bounds object with north, south, east, west properties
+ * @param {Number} width - Image width in pixels
+ * @param {Number} height - Image height in pixels
+ * @returns {String} Image URL
+ */
+export function getRadarImageUrl(source, timestamp, bounds, width, height) {
+  const [west, south] = mapService.projectToMercator([bounds.south, bounds.west]);
+  const [east, north] = mapService.projectToMercator([bounds.north, bounds.east]);
+  
+  const params = new URLSearchParams({
+    service: 'WMS',
+    version: '1.3.0',
+    request: 'GetMap',
+    layers: source.layer,
+    styles: '',
+    format: 'image/png',
+    transparent: 'true',
+    crs: 'EPSG:3857',
+    bbox: [west, south, east, north].join(','),
+    width: String(width),
+    height: String(height),
+    time: timestamp.toISOString()
+  });
+  
+  return `${source.url}?${params}`;
+}
+
+/**
+ * Get the legend image URL for a radar source (WMS GetLegendGraphic)
+ * @param {Object} source - Radar source from resolveRadarSource
+ * @returns {String} Legend image URL
+ */
+export function getRadarLegendUrl(source) {
+  const params = new URLSearchParams({
+    service: 'WMS',
+    version: '1.3.0',
+    request: 'GetLegendGraphic',
+    format: 'image/png',
+    layer: source.layer
+  });
+  
+  return `${source.url}?${params}`;
+}
+
+/**
+ * Query the radar value at a point (WMS GetFeatureInfo)
+ * @param {Object} source - Radar source from resolveRadarSource
+ * @param {Array} point - Point coordinates [lat, lng]
+ * @param {Date} [timestamp] - Frame time; the latest scan if omitted
+ * @returns {Promise<Object>} { value, units } where value is null when there is no echo
+ */
+export async function getRadarValueAt(source, point, timestamp = null) {
+  // A small box centred on the point, queried at its middle pixel
+  const [lat, lng] = point;
+  const delta = 0.01;
+  const size = 101;
+  
+  const params = new URLSearchParams({
+    service: 'WMS',
+    version: '1.3.0',
+    request: 'GetFeatureInfo',
+    layers: source.layer,
+    query_layers: source.layer,
+    crs: 'CRS:84',
+    bbox: [lng - delta, lat - delta, lng + delta, lat + delta].join(','),
+    width: size,
+    height: size,
+    i: Math.floor(size / 2),
+    j: Math.floor(size / 2),
+    info_format: 'application/json',
+    feature_count: 1
+  });
+  
+  if (timestamp) {
+    params.set('time', timestamp.toISOString());
+  }
+  
+  const response = await fetch(`${source.url}?${params}`);
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  const feature = (data.features || [])[0];
+  
+  // Raster layers report the pixel value as the only (numeric) property
+  const value = feature && feature.properties
+    ? Object.values(feature.properties).map(Number).find(item => !isNaN(item))
+    : undefined;
+  
+  return {
+    value: value === undefined || value <= RADAR_NO_DATA_VALUE ? null : value,
+    units: source.units
+  };
+}
+
+/**
+ * Get the times of the latest radar scans from the WMS GetCapabilities TIME dimension
+ * Falls back to generated timestamps when the capabilities can't be read
+ * @param {Number} loopMinutes - How far back from the newest scan the loop reaches
+ * @param {Number} maxFrames - Most frames to return; longer loops are thinned out evenly
+ * @param {Boolean} forceRefresh - Whether to ignore the cached time list
+ * @param {Object} [source] - Radar source from resolveRadarSource (default: CONUS base reflectivity)
+ * @returns {Promise<Array<Date>>} Scan times, oldest first
+ */
+export async function getRadarFrameTimes(loopMinutes = 50, maxFrames = 10, forceRefresh = false, source = getDefaultRadarSource()) {
+  const now = Date.now();
+  const cached = radarTimesCache.get(source.url);
+  
+  if (!forceRefresh && cached && now - cached.timestamp < RADAR_TIMES_CACHE_DURATION) {
+    return selectFrameTimes(cached.times, loopMinutes, maxFrames);
+  }
+  
+  try {
+    const response = await fetch(
+      `${source.url}?service=WMS&version=1.3.0&request=GetCapabilities`
+    );
+    
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    
+    const times = parseCapabilitiesTimes(await response.text(), source.layer);
+    
+    if (times.length === 0) {
+      throw new Error('No TIME dimension in radar capabilities');
+    }
+    
+    radarTimesCache.set(source.url, { times, timestamp: now });
+    return selectFrameTimes(times, loopMinutes, maxFrames);
+  } catch (error) {
+    console.warn('Error reading radar frame times, using generated timestamps:', error);
+    
+    // An older list of real times beats guessing
+    if (cached) {
+      return selectFrameTimes(cached.times, loopMinutes, maxFrames);
+    }
+    
+    const frameCount = Math.min(maxFrames, Math.max(2, Math.round(loopMinutes / 5) + 1));
+    return generateRadarFrameTimestamps(frameCount, loopMinutes / (frameCount - 1)).reverse();
+  }
+}
+
+/**
+ * Pick the loop's frame times from the available scan times
+ * @param {Array<Date>} times - Available times, oldest first
+ * @param {Number} loopMinutes - Loop length in minutes
+ * @param {Number} maxFrames - Most frames to return
+ * @returns {Array<Date>} Frame times, oldest first, always ending with the newest scan
+ */
+function selectFrameTimes(times, loopMinutes, maxFrames) {
+  if (times.length === 0) {
+    return [];
+  }
+  
+  const newest = times[times.length - 1].getTime();
+  const inLoop = times.filter(time => time.getTime() >= newest - loopMinutes * 60000);
+  
+  if (inLoop.length <= maxFrames) {
+    return inLoop;
+  }
+  
+  // Thin out evenly, keeping the oldest and newest
+  const step = (inLoop.length - 1) / (maxFrames - 1);
+  return Array.from({ length: maxFrames }, (_, i) => inLoop[Math.round(i * step)]);
+}
+
+/**
+ * Read the TIME dimension of a layer from a WMS GetCapabilities document
+ * Handles WMS 1.3.0 <Dimension> and WMS 1.1.1 <Extent> elements
+ * @param {String} xml - GetCapabilities response
+ * @param {String} layerName - Layer name
+ * @returns {Array<Date>} Available times, oldest first
+ */
+function parseCapabilitiesTimes(xml, layerName) {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  const layers = Array.from(doc.getElementsByTagName('Layer'));
+  
+  const layer = layers.find(element => 
+    Array.from(element.children).some(child => 
+      child.localName === 'Name' && child.textContent.trim() === layerName
+    )
+  );
+  
+  if (!layer) {
+    return [];
+  }
+  
+  const timeElement = Array.from(layer.children).find(child => 
+    ['Dimension', 'Extent'].includes(child.localName) &&
+    (child.getAttribute('name') || '').toLowerCase() === 'time'
+  );
+  
+  if (!timeElement) {
+    return [];
+  }
+  
+  return parseTimeDimension(timeElement.textContent);
+}
+
+/**
+ * Expand a WMS time dimension value (a list of times and/or start/end/period ranges)
+ * @param {String} value - Dimension value
+ * @returns {Array<Date>} Times, oldest first
+ */
+function parseTimeDimension(value) {
+  const times = [];
+  
+  value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [start, end, period] = part.split('/');
+    
+    if (!end) {
+      times.push(new Date(start));
+      return;
+    }
+    
+    const startTime = new Date(start).getTime();
+    const endTime = new Date(end).getTime();
+    const step = parseIsoDuration(period);
+    
+    if (!step) {
+      times.push(new Date(startTime), new Date(endTime));
+      return;
+    }
+    
+    // Only the newest part of long ranges is ever needed
+    const first = Math.max(startTime, endTime - step * (MAX_RADAR_TIMES - 1));
+    const offset = (first - startTime) % step;
+    
+    for (let time = first + (offset ? step - offset : 0); time <= endTime; time += step) {
+      times.push(new Date(time));
+    }
+  });
+  
+  return times
+    .filter(time => !isNaN(time.getTime()))
+    .sort((a, b) => a - b)
+    .slice(-MAX_RADAR_TIMES);
+}
+
+/**
+ * Parse a simple ISO 8601 duration (e.g. PT5M, PT1H, P1D)
+ * @param {String} duration - Duration text
+ * @returns {Number} Duration in milliseconds or 0 if not parseable
+ */
+function parseIsoDuration(duration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(duration || '');
+  
+  if (!match) {
+    return 0;
+  }
+  
+  const [, days, hours, minutes, seconds] = match.map(Number);
+  
+  return (
+    (days || 0) * 86400000 +
+    (hours || 0) * 3600000 +
+    (minutes || 0) * 60000 +
+    (seconds || 0) * 1000
+  );
+}
+
 /**
  * Generate timestamps for radar animation frames
  * @param {Number} frameCount - Number of frames to generate
@@ -112,56 +774,164 @@ export function generateRadarFrameTimestamps(frameCount = 10, intervalMinutes =
 }
 
 /**
- * Check if a weather alert is severe
- * @param {Object} alert - Weather alert object
- * @returns {Boolean} Whether the alert is severe
+ * Get the forecast for a point
+ * The point is resolved to its NWS grid cell, whose forecasts are cached per cell
+ * @param {Array} point - Point coordinates [lat, lng]
+ * @param {Boolean} forceRefresh - Whether to skip cached forecasts
+ * @returns {Promise<Object>} Forecast { location, gridId, gridX, gridY, periods, hourly, updated },
+ *   with periods and hourly from formatForecastPeriod
  */
-export function isSevereAlert(alert) {
-  if (!alert || !alert.properties || !alert.properties.event) {
-    return false;
-  }
+export async function getPointForecast(point, forceRefresh = false) {
+  const gridPoint = await resolveForecastPoint(point);
   
-  const severeEvents = [
-    'Tornado Warning',
-    'Severe Thunderstorm Warning',
-    'Flash Flood Warning',
-    'Hurricane Warning',
-    'Tsunami Warning',
-    'Blizzard Warning'
-  ];
+  const [forecast, hourly] = await Promise.all([
+    fetchForecast(gridPoint.forecast, forceRefresh),
+    fetchForecast(gridPoint.forecastHourly, forceRefresh)
+  ]);
   
-  return severeEvents.includes(alert.properties.event);
+  return {
+    location: gridPoint.location,
+    gridId: gridPoint.gridId,
+    gridX: gridPoint.gridX,
+    gridY: gridPoint.gridY,
+    periods: forecast.periods.map(formatForecastPeriod),
+    hourly: hourly.periods.slice(0, MAX_HOURLY_PERIODS).map(formatForecastPeriod),
+    updated: forecast.updated ? new Date(forecast.updated) : null
+  };
 }
 
 /**
- * Get the severity level of a weather alert
- * @param {Object} alert - Weather alert object
- * @returns {String} Severity level (extreme, severe, moderate, minor)
+ * Look up the NWS grid cell and forecast URLs of a point
+ * Lookups are shared between callers and backed by the API cache
+ * @param {Array} point - Point coordinates [lat, lng]
+ * @returns {Promise<Object>} { forecast, forecastHourly, gridId, gridX, gridY, location }
  */
-export function getAlertSeverity(alert) {
-  if (!alert || !alert.properties || !alert.properties.event) {
-    return 'minor';
+function resolveForecastPoint(point) {
+  const url = `${NWS_POINTS_URL}/${point[0].toFixed(POINT_PRECISION)},${point[1].toFixed(POINT_PRECISION)}`;
+  
+  if (!forecastPointCache.has(url)) {
+    const request = fetchForecastPoint(url).catch(error => {
+      // Forget failed lookups so they can be retried later
+      forecastPointCache.delete(url);
+      throw error;
+    });
+    
+    forecastPointCache.set(url, request);
+  }
+  
+  return forecastPointCache.get(url);
+}
+
+/**
+ * Fetch a point lookup from the cache or the network
+ * @param {String} url - Points URL
+ * @returns {Promise<Object>} { forecast, forecastHourly, gridId, gridX, gridY, location }
+ */
+async function fetchForecastPoint(url) {
+  const cached = await cacheService.getCachedApiResponse(url, FORECAST_POINT_CACHE_DURATION);
+  
+  if (cached) {
+    return cached;
+  }
+  
+  const response = await fetch(url);
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  const props = (await response.json()).properties || {};
+  
+  if (!props.forecast || !props.forecastHourly) {
+    throw new Error('No forecast available for this point');
   }
   
-  const event = alert.properties.event;
+  const place = props.relativeLocation && props.relativeLocation.properties;
+  const gridPoint = {
+    forecast: props.forecast,
+    forecastHourly: props.forecastHourly,
+    gridId: props.gridId,
+    gridX: props.gridX,
+    gridY: props.gridY,
+    location: place ? `${place.city}, ${place.state}` : null
+  };
+  
+  await cacheService.cacheApiResponse(url, new Response(JSON.stringify(gridPoint)));
+  
+  return gridPoint;
+}
+
+/**
+ * Fetch a grid cell forecast, using the memory and offline caches when possible
+ * @param {String} url - Forecast or hourly forecast URL of a grid cell
+ * @param {Boolean} forceRefresh - Whether to skip cached copies
+ * @returns {Promise<Object>} { updated, periods } with raw NWS periods
+ */
+async function fetchForecast(url, forceRefresh = false) {
+  const cached = forecastCache.get(url);
   
-  // Extreme alerts
-  if (['Tornado Warning', 'Hurricane Warning', 'Tsunami Warning'].includes(event)) {
-    return 'extreme';
+  if (!forceRefresh && cached && Date.now() - cached.timestamp < cacheService.getApiCacheMaxAge()) {
+    return cached.data;
   }
   
-  // Severe alerts
-  if (['Severe Thunderstorm Warning', 'Flash Flood Warning', 'Blizzard Warning'].includes(event)) {
-    return 'severe';
+  if (!forceRefresh) {
+    const stored = await cacheService.getCachedApiResponse(url);
+    
+    if (stored) {
+      forecastCache.set(url, { data: stored, timestamp: Date.now() });
+      return stored;
+    }
   }
   
-  // Moderate alerts
-  if (['Winter Storm Warning', 'Flood Warning', 'Wind Advisory'].includes(event)) {
-    return 'moderate';
+  try {
+    const response = await fetch(url);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    
+    const props = (await response.json()).properties || {};
+    const forecast = { updated: props.updateTime || null, periods: props.periods || [] };
+    
+    forecastCache.set(url, { data: forecast, timestamp: Date.now() });
+    await cacheService.cacheApiResponse(url, new Response(JSON.stringify(forecast)));
+    
+    return forecast;
+  } catch (error) {
+    // An older forecast beats none when the network is unavailable
+    const stale = cached ? cached.data : await cacheService.getCachedApiResponse(url, Infinity);
+    
+    if (stale) {
+      console.warn('Using cached forecast:', error);
+      return stale;
+    }
+    
+    throw error;
   }
+}
+
+/**
+ * Format a forecast period for display
+ * @param {Object} period - Forecast period from the NWS API
+ * @returns {Object} Formatted period
+ */
+export function formatForecastPeriod(period) {
+  const precipitation = period.probabilityOfPrecipitation;
   
-  // Default to minor
-  return 'minor';
+  return {
+    name: period.name || '',
+    startTime: new Date(period.startTime),
+    endTime: new Date(period.endTime),
+    isDaytime: period.isDaytime,
+    temperature: period.temperature,
+    temperatureUnit: period.temperatureUnit,
+    precipitationChance: precipitation && typeof precipitation.value === 'number' ? precipitation.value : 0,
+    windSpeed: period.windSpeed || '',
+    windDirection: period.windDirection || '',
+    icon: period.icon || null,
+    shortForecast: period.shortForecast || '',
+    detailedForecast: period.detailedForecast || ''
+  };
 }
 
 /**
@@ -182,30 +952,20 @@ export function formatAlert(alert) {
     headline: props.headline,
     description: props.description,
     instruction: props.instruction,
-    severity: getAlertSeverity(alert),
+    severity: alertTaxonomyService.getAlertSeverity(alert),
+    urgency: alertTaxonomyService.getAlertUrgency(alert),
+    certainty: alertTaxonomyService.getAlertCertainty(alert),
+    color: alertTaxonomyService.getAlertColor(alert),
+    sent: props.sent ? new Date(props.sent) : null,
     effective: new Date(props.effective),
+    onset: props.onset ? new Date(props.onset) : null,
     expires: new Date(props.expires),
+    ends: props.ends ? new Date(props.ends) : null,
+    messageType: props.messageType,
+    parameters: props.parameters || {},
     senderName: props.senderName,
     areaDesc: props.areaDesc,
-    geometry: alert.geometry
+    geometry: alert.geometry,
+    geometrySource: props.geometrySource || (alert.geometry ? 'polygon' : null)
   };
 }
-
-/**
- * Check if one bounds object is contained within another
- * @param {Object} innerBounds - The smaller bounds
- * @param {Object} outerBounds - The larger bounds
- * @returns {Boolean} Whether innerBounds is contained within outerBounds
- */
-function boundsContained(innerBounds, outerBounds) {
-  if (!innerBounds || !outerBounds) {
-    return false;
-  }
-  
-  return (
-    innerBounds.north <= outerBounds.north &&
-    innerBounds.south >= outerBounds.south &&
-    innerBounds.east <= outerBounds.east &&
-    innerBounds.west >= outerBounds.west
-  );
-}
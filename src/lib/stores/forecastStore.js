@@ -0,0 +1,108 @@
+/**
+ * Forecast Store
+ * Manages the point forecast for the tracked location
+ */
+
+import { writable, derived, get } from 'svelte/store';
+import * as weatherService from '../services/weatherService';
+
+// Forecasts older than this are reloaded even if the location hasn't changed
+const REFRESH_INTERVAL = 30 * 60 * 1000; // 30 minutes
+
+// Moves smaller than this (in degrees, ~1 km) keep the current forecast
+const LOCATION_TOLERANCE = 0.01;
+
+// A failed load at the same place is retried after this long
+const RETRY_DELAY = 60 * 1000; // 1 minute
+
+// Initial state
+const initialState = {
+  forecast: null,
+  position: null, // Position the forecast is for, or is loading for
+  isLoading: false,
+  error: null,
+  lastUpdate: null, // When the forecast was loaded; null until a load at the position succeeds
+  failedAt: null // When the last load failed
+};
+
+// Create the writable store
+const forecastStore = writable(initialState);
+
+// Latest request; older responses are ignored
+let requestId = 0;
+
+// Derived store for the forecast data
+export const forecast = derived(
+  forecastStore,
+  $forecastStore => $forecastStore.forecast
+);
+
+// Derived store for forecast status
+export const forecastStatus = derived(
+  forecastStore,
+  $forecastStore => ({
+    isLoading: $forecastStore.isLoading,
+    error: $forecastStore.error,
+    lastUpdate: $forecastStore.lastUpdate
+  })
+);
+
+// Load the forecast for a position, unless a recent one covers it already
+export async function loadForecast(position, forceRefresh = false) {
+  if (!position) return;
+  
+  const current = get(forecastStore);
+  const isFresh = current.lastUpdate && Date.now() - current.lastUpdate.getTime() < REFRESH_INTERVAL;
+  const isRetryDue = !current.failedAt || Date.now() - current.failedAt.getTime() >= RETRY_DELAY;
+  const isNearby = current.position &&
+    Math.abs(current.position[0] - position[0]) < LOCATION_TOLERANCE &&
+    Math.abs(current.position[1] - position[1]) < LOCATION_TOLERANCE;
+  
+  if (!forceRefresh && (current.isLoading || isFresh || !isRetryDue) && isNearby) {
+    return;
+  }
+  
+  const id = ++requestId;
+  
+  // A forecast for somewhere else isn't shown while the new one loads, or if it fails
+  forecastStore.update(state => ({
+    ...state,
+    ...(isNearby ? {} : { forecast: null, lastUpdate: null }),
+    position: [position[0], position[1]],
+    isLoading: true,
+    error: null,
+    failedAt: null
+  }));
+  
+  try {
+    const data = await weatherService.getPointForecast(position, forceRefresh);
+    
+    if (id !== requestId) return;
+    
+    forecastStore.update(state => ({
+      ...state,
+      forecast: data,
+      isLoading: false,
+      lastUpdate: new Date()
+    }));
+  } catch (error) {
+    console.error('Error loading forecast:', error);
+    
+    if (id !== requestId) return;
+    
+    forecastStore.update(state => ({
+      ...state,
+      isLoading: false,
+      error: 'Forecast unavailable for this location',
+      failedAt: new Date()
+    }));
+  }
+}
+
+// Reset the forecast
+export function resetForecast() {
+  requestId++;
+  forecastStore.set(initialState);
+}
+
+export default forecastStore;
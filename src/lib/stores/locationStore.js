@@ -5,6 +5,7 @@
 
 import { writable, derived } from 'svelte/store';
 import * as geoLocationService from '../services/geoLocationService';
+import { trackingOptions } from './settingsStore';
 
 // Initial state
 const initialState = {
@@ -134,6 +135,27 @@ function handlePositionError(error) {
   }));
 }
 
+// Restart the position watch when the tracking settings change
+let trackingOptionsKey = null;
+trackingOptions.subscribe(options => {
+  const key = JSON.stringify(options);
+  
+  if (trackingOptionsKey !== null && key !== trackingOptionsKey) {
+    locationStore.update(state => {
+      if (state.watchId === null) return state;
+      
+      geoLocationService.clearWatch(state.watchId);
+      
+      return {
+        ...state,
+        watchId: geoLocationService.watchPosition(handlePositionUpdate, handlePositionError)
+      };
+    });
+  }
+  
+  trackingOptionsKey = key;
+});
+
 // Reset the location store
 export function resetLocation() {
   stopTracking();
@@ -0,0 +1,111 @@
+/**
+ * Notification Store
+ * Manages alert notification preferences and delivery
+ */
+
+import { writable, derived } from 'svelte/store';
+import * as notificationService from '../services/notificationService';
+import * as alertTaxonomyService from '../services/alertTaxonomyService';
+import { alertsAtMyLocation, alertsByPlace } from './weatherStore';
+
+// Storage key for the enabled preference
+const ENABLED_STORAGE_KEY = 'radar-map-notifications-enabled';
+
+// Initial state
+const initialState = {
+  permission: notificationService.getNotificationPermission(),
+  enabled: localStorage.getItem(ENABLED_STORAGE_KEY) === 'true'
+};
+
+// Create the writable store
+const notificationStore = writable(initialState);
+
+// Subscriptions held while notifications are initialized
+let unsubscribers = [];
+
+// Derived store for notification status
+export const notificationStatus = derived(
+  notificationStore,
+  $notificationStore => ({
+    supported: $notificationStore.permission !== 'unsupported',
+    permission: $notificationStore.permission,
+    active: $notificationStore.enabled && $notificationStore.permission === 'granted'
+  })
+);
+
+// Enable notifications, asking for permission if needed
+export async function enableNotifications() {
+  const permission = await notificationService.requestNotificationPermission();
+  const enabled = permission === 'granted';
+  
+  localStorage.setItem(ENABLED_STORAGE_KEY, String(enabled));
+  
+  notificationStore.update(state => ({
+    ...state,
+    permission,
+    enabled
+  }));
+}
+
+// Disable notifications
+export function disableNotifications() {
+  localStorage.setItem(ENABLED_STORAGE_KEY, 'false');
+  
+  notificationStore.update(state => ({
+    ...state,
+    enabled: false
+  }));
+}
+
+// Toggle notifications
+export function toggleNotifications(enabled) {
+  let isEnabled = false;
+  
+  notificationStore.update(state => {
+    isEnabled = state.enabled && state.permission === 'granted';
+    return state;
+  });
+  
+  if (enabled !== undefined ? enabled : !isEnabled) {
+    return enableNotifications();
+  }
+  
+  disableNotifications();
+}
+
+// Notify about warnings covering a place
+function notifyWarnings(alerts, placeName) {
+  let isActive = false;
+  
+  notificationStore.update(state => {
+    isActive = state.enabled && state.permission === 'granted';
+    return state;
+  });
+  
+  if (!isActive) return;
+  
+  alerts
+    .filter(alert => alertTaxonomyService.getEventInfo(alert.properties.event).category === 'warning')
+    .forEach(alert => notificationService.notifyAlert(alert, placeName));
+}
+
+// Start watching alerts for notifications
+export function initNotifications() {
+  cleanupNotifications();
+  
+  unsubscribers = [
+    alertsAtMyLocation.subscribe(alerts => notifyWarnings(alerts, 'your location')),
+    alertsByPlace.subscribe(placeAlerts => {
+      placeAlerts.forEach(place => notifyWarnings(place.alerts, place.name));
+    })
+  ];
+}
+
+// Stop watching alerts
+export function cleanupNotifications() {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+}
+
+// Export the store
+export default notificationStore;
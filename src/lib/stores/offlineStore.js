@@ -0,0 +1,249 @@
+/**
+ * Offline Store
+ * Manages areas saved for offline use and the download of their basemap tiles
+ */
+
+import { writable, derived, get } from 'svelte/store';
+import * as cacheService from '../services/cacheService';
+import * as offlineAreaService from '../services/offlineAreaService';
+
+// Storage key for saved areas
+const STORAGE_KEY = 'radar-map-offline-areas';
+
+// Tiles fetched at once; progress is saved after each batch
+const DOWNLOAD_BATCH_SIZE = 6;
+
+// Tile servers that don't allow offline use are never bulk downloaded from
+const DOWNLOAD_NOT_ALLOWED = 'The tile server of this basemap does not allow saving areas offline';
+
+// Load saved areas from local storage
+function loadAreas() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    
+    // A download cut short by closing the app waits to be resumed
+    return Array.isArray(stored)
+      ? stored.map(area => area.status === 'downloading' ? { ...area, status: 'paused' } : area)
+      : [];
+  } catch (error) {
+    console.error('Error loading offline areas:', error);
+    return [];
+  }
+}
+
+// Save areas to local storage
+function saveAreas(areas) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(areas));
+  } catch (error) {
+    console.error('Error saving offline areas:', error);
+  }
+}
+
+// Initial state
+const initialState = {
+  areas: loadAreas(),
+  activeAreaId: null, // Area being downloaded
+  error: null
+};
+
+// Create the writable store
+const offlineStore = writable(initialState);
+
+// Persist every change
+offlineStore.subscribe(state => saveAreas(state.areas));
+
+// Guards against overlapping downloads
+let downloadId = 0;
+
+// Derived store for the list of saved areas
+export const offlineAreas = derived(
+  offlineStore,
+  $offlineStore => $offlineStore.areas
+);
+
+// Derived store for download status
+export const offlineStatus = derived(
+  offlineStore,
+  $offlineStore => ({
+    activeAreaId: $offlineStore.activeAreaId,
+    error: $offlineStore.error
+  })
+);
+
+// Save an area and start downloading its tiles
+export function saveArea(name, bounds, minZoom, maxZoom, basemap) {
+  if (!offlineAreaService.canDownloadBasemap(basemap)) {
+    offlineStore.update(state => ({ ...state, error: DOWNLOAD_NOT_ALLOWED }));
+    return null;
+  }
+  
+  const area = {
+    id: `area-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: (name || '').trim() || 'Offline area',
+    bounds: { north: bounds.north, south: bounds.south, east: bounds.east, west: bounds.west },
+    minZoom,
+    maxZoom,
+    basemap,
+    tileCount: offlineAreaService.countAreaTiles(bounds, minZoom, maxZoom),
+    savedCount: 0,
+    failedCount: 0,
+    bytes: 0,
+    status: 'paused',
+    createdAt: Date.now()
+  };
+  
+  offlineStore.update(state => ({
+    ...state,
+    areas: [...state.areas, area]
+  }));
+  
+  resumeDownload(area.id);
+  
+  return area;
+}
+
+// Download the remaining tiles of an area; only one area downloads at a time
+export async function resumeDownload(areaId) {
+  const area = getArea(areaId);
+  
+  if (!area || area.status === 'complete') return;
+  
+  // E.g. saved before the tile server was taken out of the configuration
+  if (!offlineAreaService.canDownloadBasemap(area.basemap)) {
+    offlineStore.update(state => ({ ...state, error: DOWNLOAD_NOT_ALLOWED }));
+    return;
+  }
+  
+  const id = ++downloadId;
+  const urls = offlineAreaService.getAreaTileUrls(area);
+  
+  // Every tile was tried but some failed: go over the area again, counting the
+  // tiles already saved from the cache without fetching them
+  const retry = area.failedCount > 0 && area.savedCount + area.failedCount >= urls.length;
+  const start = retry ? 0 : area.savedCount + area.failedCount;
+  
+  offlineStore.update(state => ({
+    ...state,
+    activeAreaId: areaId,
+    error: null,
+    areas: state.areas.map(item => {
+      if (item.id === areaId) {
+        return retry
+          ? { ...item, status: 'downloading', savedCount: 0, failedCount: 0, bytes: 0 }
+          : { ...item, status: 'downloading' };
+      }
+      // Another download gives way
+      return item.status === 'downloading' ? { ...item, status: 'paused' } : item;
+    })
+  }));
+  
+  // Pick up after the last finished batch
+  for (let next = start; next < urls.length; next += DOWNLOAD_BATCH_SIZE) {
+    if (id !== downloadId) return;
+    
+    if (!cacheService.isOnline()) {
+      stopDownload(areaId, 'paused', 'Download paused: you are offline');
+      return;
+    }
+    
+    let batch = null;
+    
+    try {
+      batch = await cacheService.cacheMapTiles(urls.slice(next, next + DOWNLOAD_BATCH_SIZE));
+    } catch (error) {
+      console.error('Error saving offline tiles:', error);
+      
+      if (id === downloadId) {
+        stopDownload(areaId, 'paused', 'Offline storage is not available');
+      }
+      return;
+    }
+    
+    // Paused, deleted or superseded meanwhile; a resumed download redoes this batch from the cache
+    if (id !== downloadId) return;
+    
+    updateArea(areaId, item => ({
+      ...item,
+      savedCount: item.savedCount + batch.savedCount,
+      failedCount: item.failedCount + batch.failedCount,
+      bytes: item.bytes + batch.bytes
+    }));
+  }
+  
+  if (id !== downloadId) return;
+  
+  // An area with missing tiles isn't complete; resuming retries them
+  const { failedCount } = getArea(areaId);
+  
+  if (failedCount > 0) {
+    stopDownload(areaId, 'paused', `${failedCount} tile${failedCount !== 1 ? 's' : ''} failed to download; resume to retry`);
+  } else {
+    stopDownload(areaId, 'complete');
+  }
+}
+
+// Pause the running download; its unfinished batch is redone on resume
+export function pauseDownload() {
+  const { activeAreaId } = get(offlineStore);
+  
+  if (!activeAreaId) return;
+  
+  downloadId++;
+  stopDownload(activeAreaId, 'paused');
+}
+
+// Delete an area and the tiles no other area uses
+export async function deleteArea(areaId) {
+  const area = getArea(areaId);
+  
+  if (!area) return;
+  
+  let otherAreas = [];
+  
+  offlineStore.update(state => {
+    // Stop its download first
+    if (state.activeAreaId === areaId) {
+      downloadId++;
+    }
+    
+    otherAreas = state.areas.filter(item => item.id !== areaId);
+    
+    return {
+      ...state,
+      areas: otherAreas,
+      activeAreaId: state.activeAreaId === areaId ? null : state.activeAreaId
+    };
+  });
+  
+  // Tiles can be shared by overlapping areas
+  const keep = new Set(otherAreas.flatMap(item => offlineAreaService.getAreaTileUrls(item)));
+  const urls = offlineAreaService.getAreaTileUrls(area).filter(url => !keep.has(url));
+  
+  await cacheService.deleteOfflineTiles(urls);
+}
+
+// Get an area by id
+function getArea(areaId) {
+  return get(offlineStore).areas.find(item => item.id === areaId) || null;
+}
+
+// Update an area
+function updateArea(areaId, updater) {
+  offlineStore.update(state => ({
+    ...state,
+    areas: state.areas.map(area => area.id === areaId ? updater(area) : area)
+  }));
+}
+
+// Mark a download as finished or paused
+function stopDownload(areaId, status, error = null) {
+  offlineStore.update(state => ({
+    ...state,
+    activeAreaId: state.activeAreaId === areaId ? null : state.activeAreaId,
+    error,
+    areas: state.areas.map(area => area.id === areaId ? { ...area, status } : area)
+  }));
+}
+
+export default offlineStore;
@@ -0,0 +1,86 @@
+/**
+ * Places Store
+ * Manages saved places (home, office, job sites) persisted locally
+ */
+
+import { writable, derived } from 'svelte/store';
+
+// Storage key for saved places
+const STORAGE_KEY = 'radar-map-places';
+
+// Load saved places from local storage
+function loadPlaces() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Error loading saved places:', error);
+    return [];
+  }
+}
+
+// Save places to local storage
+function savePlaces(places) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(places));
+  } catch (error) {
+    console.error('Error saving places:', error);
+  }
+}
+
+// Initial state
+const initialState = {
+  places: loadPlaces()
+};
+
+// Create the writable store
+const placesStore = writable(initialState);
+
+// Persist every change
+placesStore.subscribe(state => savePlaces(state.places));
+
+// Derived store for the list of saved places
+export const places = derived(
+  placesStore,
+  $placesStore => $placesStore.places
+);
+
+// Add a place
+export function addPlace(name, latLng) {
+  if (!latLng) return null;
+  
+  const place = {
+    id: `place-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: (name || '').trim() || 'Saved place',
+    latLng: [latLng[0], latLng[1]],
+    createdAt: Date.now()
+  };
+  
+  placesStore.update(state => ({
+    ...state,
+    places: [...state.places, place]
+  }));
+  
+  return place;
+}
+
+// Rename a place
+export function renamePlace(id, name) {
+  placesStore.update(state => ({
+    ...state,
+    places: state.places.map(place => 
+      place.id === id ? { ...place, name: (name || '').trim() || place.name } : place
+    )
+  }));
+}
+
+// Remove a place
+export function removePlace(id) {
+  placesStore.update(state => ({
+    ...state,
+    places: state.places.filter(place => place.id !== id)
+  }));
+}
+
+// Export the store
+export default placesStore;
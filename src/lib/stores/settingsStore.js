@@ -0,0 +1,191 @@
+/**
+ * Settings Store
+ * Manages user settings saved to localStorage, upgrading older saved versions
+ */
+
+import { writable, derived, get } from 'svelte/store';
+import * as mapService from '../services/mapService';
+
+// Storage key and current schema version of the saved settings
+const SETTINGS_STORAGE_KEY = 'radar-map-settings';
+const SETTINGS_VERSION = 2;
+
+// Storage key used for the basemap before it moved into the settings
+const LEGACY_BASEMAP_STORAGE_KEY = 'radar-map-basemap';
+
+// Settings fields with their defaults and allowed values
+const SETTINGS_SCHEMA = {
+  // Data
+  refreshMinutes: { default: 5, min: 1, max: 60 }, // Weather auto refresh interval
+  apiCacheMinutes: { default: 10, min: 1, max: 120 }, // Age up to which cached alerts, observations and forecasts are used
+  
+  // Radar
+  radarProvider: { default: 'noaa' },
+  radarProduct: { default: 'bref' },
+  radarOpacity: { default: 0.7, min: 0.1, max: 1 },
+  radarMaxFrames: { default: 20, min: 4, max: 40 }, // Most frames in the loop
+  radarLoopMinutes: { default: 60, min: 15, max: 240 },
+  radarDwellMs: { default: 1500, min: 0, max: 5000 },
+  radarNowcastMinutes: { default: 30, min: 0, max: 60 },
+  
+  // Satellite
+  satelliteProduct: { default: 'sat_infrared' },
+  satelliteOpacity: { default: 0.6, min: 0.1, max: 1 },
+  satelliteLoopMinutes: { default: 120, min: 30, max: 360 },
+  satelliteDwellMs: { default: 1500, min: 0, max: 5000 },
+  
+  // Map
+  basemap: { default: mapService.DEFAULT_BASEMAP, options: mapService.getBasemaps().map(basemap => basemap.id) },
+  
+  // Location tracking
+  highAccuracy: { default: true },
+  locationMaxAgeSeconds: { default: 10, min: 0, max: 600 }, // Oldest cached position accepted
+  locationTimeoutSeconds: { default: 60, min: 5, max: 300 } // How long to wait for a position
+};
+
+// Upgrades from each saved version to the next; MIGRATIONS[n] turns version n into n + 1
+const MIGRATIONS = [
+  // 0: before the settings store, the basemap was saved under its own key
+  settings => {
+    let basemap = null;
+    
+    try {
+      basemap = localStorage.getItem(LEGACY_BASEMAP_STORAGE_KEY);
+      localStorage.removeItem(LEGACY_BASEMAP_STORAGE_KEY);
+    } catch (error) {
+      console.warn('Error reading the saved basemap:', error);
+    }
+    
+    return basemap ? { ...settings, basemap } : settings;
+  },
+  
+  // 1: the API cache age had no effect and defaulted to 30 minutes; start over from the new default
+  settings => {
+    const upgraded = { ...settings };
+    delete upgraded.apiCacheMinutes;
+    return upgraded;
+  }
+];
+
+// Create the writable store
+const settingsStore = writable(loadSettings());
+
+// Derived store for the geolocation options used while tracking
+export const trackingOptions = derived(
+  settingsStore,
+  $settingsStore => ({
+    enableHighAccuracy: $settingsStore.highAccuracy,
+    maximumAge: $settingsStore.locationMaxAgeSeconds * 1000,
+    timeout: $settingsStore.locationTimeoutSeconds * 1000
+  })
+);
+
+// Get the current settings (for services that aren't subscribed)
+export function getSettings() {
+  return get(settingsStore);
+}
+
+// Get the default settings
+export function getDefaultSettings() {
+  return Object.keys(SETTINGS_SCHEMA).reduce(
+    (defaults, key) => ({ ...defaults, [key]: SETTINGS_SCHEMA[key].default }),
+    {}
+  );
+}
+
+// Get the allowed range of a numeric setting
+export function getSettingRange(key) {
+  const field = SETTINGS_SCHEMA[key];
+  return field && field.min !== undefined ? { min: field.min, max: field.max } : null;
+}
+
+// Update some settings and save them
+export function updateSettings(changes) {
+  settingsStore.update(state => {
+    const settings = validateSettings({ ...state, ...changes });
+    saveSettings(settings);
+    return settings;
+  });
+}
+
+// Restore the default settings
+export function resetSettings() {
+  const settings = getDefaultSettings();
+  saveSettings(settings);
+  settingsStore.set(settings);
+}
+
+// Load saved settings, upgrading them from older versions
+function loadSettings() {
+  const stored = readStoredSettings();
+  
+  // Settings saved before versioning count as version 0
+  const storedVersion = stored && Number.isInteger(stored.version) ? stored.version : 0;
+  let version = storedVersion;
+  let settings = stored && stored.settings ? stored.settings : {};
+  
+  // Settings from a newer version of the app are used where they still fit the schema
+  while (version < SETTINGS_VERSION) {
+    settings = MIGRATIONS[version](settings);
+    version++;
+  }
+  
+  settings = validateSettings(settings);
+  
+  // Save upgraded settings so the migrations only run once; settings saved by a
+  // newer version of the app are left as they are for when it runs again
+  if (!stored || storedVersion < SETTINGS_VERSION) {
+    saveSettings(settings);
+  }
+  
+  return settings;
+}
+
+// Read the saved settings record { version, settings }, or null
+function readStoredSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+  } catch (error) {
+    console.warn('Error reading saved settings:', error);
+    return null;
+  }
+}
+
+// Save settings with the current schema version; a record written by a newer
+// version of the app keeps its version and the fields this one doesn't know
+function saveSettings(settings) {
+  const stored = readStoredSettings();
+  const record = stored && Number.isInteger(stored.version) && stored.version > SETTINGS_VERSION
+    ? { version: stored.version, settings: { ...stored.settings, ...settings } }
+    : { version: SETTINGS_VERSION, settings };
+  
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(record));
+  } catch (error) {
+    console.error('Error saving settings:', error);
+  }
+}
+
+// Keep only known fields of the right type and range, using defaults for the rest
+function validateSettings(settings) {
+  return Object.keys(SETTINGS_SCHEMA).reduce((valid, key) => {
+    const field = SETTINGS_SCHEMA[key];
+    const value = settings[key];
+    
+    if (typeof value !== typeof field.default || (typeof value === 'number' && !Number.isFinite(value))) {
+      return { ...valid, [key]: field.default };
+    }
+    
+    if (field.options && !field.options.includes(value)) {
+      return { ...valid, [key]: field.default };
+    }
+    
+    if (field.min !== undefined) {
+      return { ...valid, [key]: Math.min(field.max, Math.max(field.min, value)) };
+    }
+    
+    return { ...valid, [key]: value };
+  }, {});
+}
+
+export default settingsStore;
@@ -6,12 +6,56 @@
 import { writable, derived } from 'svelte/store';
 import * as weatherService from '../services/weatherService';
 import * as cacheService from '../services/cacheService';
+import * as geometryService from '../services/geometryService';
+import * as alertLifecycleService from '../services/alertLifecycleService';
+import * as alertTaxonomyService from '../services/alertTaxonomyService';
 import mapStore from './mapStore';
+import locationStore from './locationStore';
+import placesStore from './placesStore';
+import settingsStore, { getSettings } from './settingsStore';
+
+// Storage key for alert filters
+const FILTERS_STORAGE_KEY = 'radar-map-alert-filters';
+
+// Default alert filters (show everything)
+const DEFAULT_ALERT_FILTERS = {
+  eventMode: 'exclude', // 'exclude' hides the listed events, 'include' shows only them
+  events: [],
+  minSeverity: null, // One of alertTaxonomyService.SEVERITY_LEVELS, or null
+  minUrgency: null, // One of alertTaxonomyService.URGENCY_LEVELS, or null
+  area: 'all' // 'all' or 'watched' (tracked position and saved places only)
+};
+
+// Load alert filters from local storage
+function loadAlertFilters() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FILTERS_STORAGE_KEY) || 'null');
+    return stored && typeof stored === 'object'
+      ? { ...DEFAULT_ALERT_FILTERS, ...stored }
+      : { ...DEFAULT_ALERT_FILTERS };
+  } catch (error) {
+    console.error('Error loading alert filters:', error);
+    return { ...DEFAULT_ALERT_FILTERS };
+  }
+}
+
+// Save alert filters to local storage
+function saveAlertFilters(filters) {
+  try {
+    localStorage.setItem(FILTERS_STORAGE_KEY, JSON.stringify(filters));
+  } catch (error) {
+    console.error('Error saving alert filters:', error);
+  }
+}
 
 // Initial state
 const initialState = {
   alerts: [],
+  alertFilters: loadAlertFilters(),
+  alertEvents: [], // Lifecycle events, newest first
   radarVisible: true,
+  satelliteVisible: false,
+  stationsVisible: false,
   alertsVisible: true,
   lastUpdate: null,
   isLoading: false,
@@ -23,10 +67,53 @@ const initialState = {
 // Create the writable store
 const weatherStore = writable(initialState);
 
-// Derived store for weather alerts
+// Lifecycle event bookkeeping
+const MAX_ALERT_EVENTS = 50;
+const alertEventListeners = new Set();
+
+// Alert reload bookkeeping
+const RELOAD_DELAY_MS = 1000;
+let alertsLoadId = 0;
+let reloadTimeout = null;
+let unsubscribeReloadTriggers = [];
+let unsubscribeRefreshSetting = () => {};
+
+// Derived store for weather alerts, most important first
 export const alerts = derived(
   weatherStore,
-  $weatherStore => $weatherStore.alerts
+  $weatherStore => alertTaxonomyService.sortAlerts($weatherStore.alerts)
+);
+
+// Derived store for the alerts that pass the user's filters, most important first
+export const filteredAlerts = derived(
+  [weatherStore, locationStore, placesStore],
+  ([$weatherStore, $locationStore, $placesStore]) => {
+    const watchedPoints = [
+      $locationStore.position,
+      ...$placesStore.places.map(place => place.latLng)
+    ].filter(Boolean);
+    
+    return alertTaxonomyService.sortAlerts(
+      $weatherStore.alerts.filter(alert => 
+        matchesAlertFilters(alert, $weatherStore.alertFilters, watchedPoints)
+      )
+    );
+  }
+);
+
+// Derived store for the alert filters
+export const alertFilters = derived(
+  weatherStore,
+  $weatherStore => $weatherStore.alertFilters
+);
+
+// Derived store for filter status (whether any filter is set and how many alerts it hides)
+export const alertFilterStatus = derived(
+  [weatherStore, filteredAlerts],
+  ([$weatherStore, $filteredAlerts]) => ({
+    active: isFilterActive($weatherStore.alertFilters),
+    hiddenCount: $weatherStore.alerts.length - $filteredAlerts.length
+  })
 );
 
 // Derived store for weather status
@@ -34,6 +121,8 @@ export const weatherStatus = derived(
   weatherStore,
   $weatherStore => ({
     radarVisible: $weatherStore.radarVisible,
+    satelliteVisible: $weatherStore.satelliteVisible,
+    stationsVisible: $weatherStore.stationsVisible,
     alertsVisible: $weatherStore.alertsVisible,
     lastUpdate: $weatherStore.lastUpdate,
     isLoading: $weatherStore.isLoading,
@@ -46,10 +135,90 @@ export const weatherStatus = derived(
 export const severeAlerts = derived(
   weatherStore,
   $weatherStore => $weatherStore.alerts.filter(alert => 
-    weatherService.isSevereAlert(alert)
+    alertTaxonomyService.isSevereAlert(alert)
+  )
+);
+
+// Derived store for recent alert lifecycle events (new, update, extension, expiry, cancellation)
+export const alertEvents = derived(
+  weatherStore,
+  $weatherStore => $weatherStore.alertEvents
+);
+
+// Derived store for lifecycle events the user hasn't looked at yet
+export const unseenAlertEvents = derived(
+  weatherStore,
+  $weatherStore => $weatherStore.alertEvents.filter(event => !event.seen)
+);
+
+// Derived store mapping alert ids to their latest unseen change, for badges
+export const alertBadges = derived(
+  unseenAlertEvents,
+  $unseenAlertEvents => {
+    const badges = {};
+    const badgeTypes = [
+      alertLifecycleService.ALERT_EVENT_TYPES.NEW,
+      alertLifecycleService.ALERT_EVENT_TYPES.UPDATE,
+      alertLifecycleService.ALERT_EVENT_TYPES.EXTENSION
+    ];
+    
+    // Events are newest first, so keep the first one seen per alert
+    $unseenAlertEvents.forEach(event => {
+      if (badgeTypes.includes(event.type) && !badges[event.alertId]) {
+        badges[event.alertId] = event.type;
+      }
+    });
+    
+    return badges;
+  }
+);
+
+// Derived store for alerts whose geometry covers the tracked position; unfiltered,
+// since it drives warning notifications
+export const alertsAtMyLocation = derived(
+  [alerts, locationStore],
+  ([$alerts, $locationStore]) => geometryService.getAlertsAtPoint(
+    $alerts,
+    $locationStore.position
   )
 );
 
+// Rounded keys for the view and position, so reloads only follow real moves
+const viewKey = derived(
+  mapStore,
+  $mapStore => $mapStore.bounds
+    ? ['north', 'south', 'east', 'west'].map(side => $mapStore.bounds[side].toFixed(2)).join(',')
+    : ''
+);
+
+const positionKey = derived(
+  locationStore,
+  $locationStore => $locationStore.position
+    ? $locationStore.position.map(value => value.toFixed(3)).join(',')
+    : ''
+);
+
+const placesKey = derived(
+  placesStore,
+  $placesStore => $placesStore.places.map(place => place.latLng.join(',')).join(';')
+);
+
+// Auto refresh interval setting, so the timer restarts only when it changes
+const refreshMinutes = derived(
+  settingsStore,
+  $settingsStore => $settingsStore.refreshMinutes
+);
+
+// Derived store for saved places with the alerts covering each, most important first;
+// unfiltered, like alertsAtMyLocation
+export const alertsByPlace = derived(
+  [alerts, placesStore],
+  ([$alerts, $placesStore]) => $placesStore.places.map(place => ({
+    ...place,
+    alerts: geometryService.getAlertsAtPoint($alerts, place.latLng)
+  }))
+);
+
 // Toggle radar visibility
 export function toggleRadar(visible) {
   weatherStore.update(state => ({
@@ -58,6 +227,22 @@ export function toggleRadar(visible) {
   }));
 }
 
+// Toggle satellite imagery visibility
+export function toggleSatellite(visible) {
+  weatherStore.update(state => ({
+    ...state,
+    satelliteVisible: visible !== undefined ? visible : !state.satelliteVisible
+  }));
+}
+
+// Toggle observation stations visibility
+export function toggleStations(visible) {
+  weatherStore.update(state => ({
+    ...state,
+    stationsVisible: visible !== undefined ? visible : !state.stationsVisible
+  }));
+}
+
 // Toggle alerts visibility
 export function toggleAlerts(visible) {
   weatherStore.update(state => ({
@@ -66,6 +251,83 @@ export function toggleAlerts(visible) {
   }));
 }
 
+// Update alert filters and save them
+export function setAlertFilters(changes) {
+  weatherStore.update(state => {
+    const alertFilters = { ...state.alertFilters, ...changes };
+    saveAlertFilters(alertFilters);
+    
+    return { ...state, alertFilters };
+  });
+}
+
+// Add or remove an event type from the filter list
+export function toggleFilteredEvent(event) {
+  weatherStore.update(state => {
+    const events = state.alertFilters.events.includes(event)
+      ? state.alertFilters.events.filter(name => name !== event)
+      : [...state.alertFilters.events, event];
+    const alertFilters = { ...state.alertFilters, events };
+    saveAlertFilters(alertFilters);
+    
+    return { ...state, alertFilters };
+  });
+}
+
+// Switch between hiding the listed events and showing only them (clears the list,
+// which shows every event in either mode)
+export function setFilterEventMode(eventMode) {
+  setAlertFilters({ eventMode, events: [] });
+}
+
+// Clear all alert filters
+export function resetAlertFilters() {
+  setAlertFilters(DEFAULT_ALERT_FILTERS);
+}
+
+// Whether an alert passes the alert filters
+function matchesAlertFilters(alert, filters, watchedPoints) {
+  const listed = filters.events.includes(alert.properties.event);
+  
+  // An empty 'include' list hasn't picked any events yet, so it filters nothing
+  const onlyListed = filters.eventMode === 'include' && filters.events.length > 0;
+  
+  if (onlyListed ? !listed : listed) {
+    return false;
+  }
+  
+  if (!alertTaxonomyService.meetsMinimumLevel(
+    alertTaxonomyService.getAlertSeverity(alert),
+    filters.minSeverity,
+    alertTaxonomyService.SEVERITY_LEVELS
+  )) {
+    return false;
+  }
+  
+  if (!alertTaxonomyService.meetsMinimumLevel(
+    alertTaxonomyService.getAlertUrgency(alert),
+    filters.minUrgency,
+    alertTaxonomyService.URGENCY_LEVELS
+  )) {
+    return false;
+  }
+  
+  if (filters.area === 'watched') {
+    return watchedPoints.some(point => geometryService.pointInGeometry(point, alert.geometry));
+  }
+  
+  return true;
+}
+
+// Whether any alert filter differs from the defaults
+function isFilterActive(filters) {
+  return filters.eventMode === 'include' ||
+    filters.events.length > 0 ||
+    Boolean(filters.minSeverity) ||
+    Boolean(filters.minUrgency) ||
+    filters.area !== 'all';
+}
+
 // Toggle auto refresh
 export function toggleAutoRefresh(enabled) {
   weatherStore.update(state => {
@@ -77,7 +339,7 @@ export function toggleAutoRefresh(enabled) {
     // Set up new interval if enabling
     let refreshInterval = null;
     if (enabled === true || (enabled === undefined && !state.autoRefresh)) {
-      refreshInterval = setInterval(refreshWeather, 5 * 60 * 1000); // Refresh every 5 minutes
+      refreshInterval = startRefreshTimer();
     }
     
     return {
@@ -88,9 +350,11 @@ export function toggleAutoRefresh(enabled) {
   });
 }
 
-// Load weather alerts
+// Load weather alerts for the current view and tracked position
 export async function loadWeatherAlerts(forceRefresh = false) {
   let bounds;
+  let position;
+  let savedPlaces;
   
   // Get current map bounds from the map store
   mapStore.update(state => {
@@ -98,10 +362,25 @@ export async function loadWeatherAlerts(forceRefresh = false) {
     return state;
   });
   
+  // Get the tracked position from the location store
+  locationStore.update(state => {
+    position = state.position;
+    return state;
+  });
+  
+  // Get saved places from the places store
+  placesStore.update(state => {
+    savedPlaces = state.places;
+    return state;
+  });
+  
   if (!bounds) {
     return;
   }
   
+  const watchedPoints = [position, ...savedPlaces.map(place => place.latLng)].filter(Boolean);
+  const loadId = ++alertsLoadId;
+  
   weatherStore.update(state => ({
     ...state,
     isLoading: true,
@@ -109,39 +388,62 @@ export async function loadWeatherAlerts(forceRefresh = false) {
   }));
   
   try {
-    // Try to get alerts from cache first if not forcing refresh
-    let alerts = [];
-    if (!forceRefresh && cacheService.isOnline()) {
-      const alertsUrl = `https://api.weather.gov/alerts/active?status=actual&message_type=alert`;
-      const cachedAlerts = await cacheService.getCachedApiResponse(alertsUrl);
-      
-      if (cachedAlerts) {
-        alerts = cachedAlerts;
-      } else {
-        // Fetch fresh data if cache miss
-        alerts = await weatherService.getActiveAlerts(bounds, true);
-        
-        // Cache the response
-        if (alerts.length > 0) {
-          const response = new Response(JSON.stringify(alerts));
-          const alertsUrl = `https://api.weather.gov/alerts/active?status=actual&message_type=alert`;
-          await cacheService.cacheApiResponse(alertsUrl, response);
-        }
-      }
-    } else {
-      // Fetch fresh data
-      alerts = await weatherService.getActiveAlerts(bounds, true);
+    // Area feeds for the view plus point queries so the tracked position and
+    // saved places are always covered, even when they are outside the view;
+    // a point that fails (outside NWS coverage, not cached offline) is skipped
+    const [areaAlerts, ...pointAlerts] = await Promise.all([
+      weatherService.getActiveAlerts(bounds, forceRefresh),
+      ...watchedPoints.map(point => weatherService.getAlertsForPoint(point, forceRefresh)
+        .catch(error => {
+          console.error(`Error loading alerts for ${point.join(',')}:`, error);
+          return null;
+        }))
+    ]);
+    
+    // Alerts missing at a point that failed to load haven't been cancelled
+    const loadedPoints = watchedPoints.filter((point, index) => pointAlerts[index] !== null);
+    
+    // Fill in shapes for zone-based alerts (watches, winter products, ...)
+    const fetchedAlerts = await weatherService.resolveAlertGeometries(
+      weatherService.mergeAlerts(...pointAlerts, areaAlerts)
+    );
+    
+    // A newer load started while this one was in flight
+    if (loadId !== alertsLoadId) {
+      return;
     }
     
-    weatherStore.update(state => ({
-      ...state,
-      alerts,
-      lastUpdate: new Date(),
-      isLoading: false
-    }));
+    let events = [];
+    
+    weatherStore.update(state => {
+      // The first load is the baseline; only later loads produce events
+      if (state.lastUpdate) {
+        events = alertLifecycleService.diffAlerts(state.alerts, fetchedAlerts, {
+          since: state.lastUpdate,
+          isInScope: alert => isAlertInScope(alert, bounds, loadedPoints)
+        });
+      }
+      
+      return {
+        ...state,
+        alerts: fetchedAlerts.filter(alertLifecycleService.isLiveAlert),
+        alertEvents: [
+          ...events.map(event => ({ ...event, seen: false })),
+          ...state.alertEvents
+        ].slice(0, MAX_ALERT_EVENTS),
+        lastUpdate: new Date(),
+        isLoading: false
+      };
+    });
+    
+    events.forEach(emitAlertEvent);
   } catch (error) {
     console.error('Error loading weather alerts:', error);
     
+    if (loadId !== alertsLoadId) {
+      return;
+    }
+    
     weatherStore.update(state => ({
       ...state,
       error: 'Failed to load weather alerts. Please try again later.',
@@ -150,6 +452,46 @@ export async function loadWeatherAlerts(forceRefresh = false) {
   }
 }
 
+// Whether an alert was covered by the area and point queries of a load
+function isAlertInScope(alert, bounds, points) {
+  return geometryService.geometryIntersectsBounds(alert.geometry, bounds) ||
+    points.some(point => geometryService.pointInGeometry(point, alert.geometry));
+}
+
+// Notify lifecycle event subscribers
+function emitAlertEvent(event) {
+  alertEventListeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in alert event listener:', error);
+    }
+  });
+}
+
+// Subscribe to alert lifecycle events as they happen; returns an unsubscribe function
+export function subscribeToAlertEvents(listener) {
+  alertEventListeners.add(listener);
+  
+  return () => {
+    alertEventListeners.delete(listener);
+  };
+}
+
+// Mark all lifecycle events as seen
+export function acknowledgeAlertEvents() {
+  weatherStore.update(state => ({
+    ...state,
+    alertEvents: state.alertEvents.map(event => event.seen ? event : { ...event, seen: true })
+  }));
+}
+
+// Reload alerts shortly after the view or tracked position settles
+function scheduleAlertsReload() {
+  clearTimeout(reloadTimeout);
+  reloadTimeout = setTimeout(() => loadWeatherAlerts(), RELOAD_DELAY_MS);
+}
+
 // Refresh weather data
 export function refreshWeather() {
   loadWeatherAlerts(true);
@@ -182,15 +524,32 @@ export function initWeatherStore() {
   // Set up auto refresh if enabled
   weatherStore.update(state => {
     if (state.autoRefresh) {
-      const refreshInterval = setInterval(refreshWeather, 5 * 60 * 1000); // Refresh every 5 minutes
+      const refreshInterval = startRefreshTimer();
       return { ...state, refreshInterval };
     }
     return state;
   });
   
+  // Restart the timer when the refresh interval setting changes
+  unsubscribeRefreshSetting = refreshMinutes.subscribe(() => {
+    weatherStore.update(state => {
+      if (!state.refreshInterval) return state;
+      
+      clearInterval(state.refreshInterval);
+      return { ...state, refreshInterval: startRefreshTimer() };
+    });
+  });
+  
   // Initial load of weather data
   loadWeatherAlerts();
   
+  // Scoped alert feeds follow the view and the tracked position
+  unsubscribeReloadTriggers = [
+    viewKey.subscribe(scheduleAlertsReload),
+    positionKey.subscribe(scheduleAlertsReload),
+    placesKey.subscribe(scheduleAlertsReload)
+  ];
+  
   // Set up connectivity listeners
   cacheService.addConnectivityListeners(
     // Online callback
@@ -207,8 +566,19 @@ export function initWeatherStore() {
   );
 }
 
+// Start the auto refresh timer at the interval from the settings
+function startRefreshTimer() {
+  return setInterval(refreshWeather, getSettings().refreshMinutes * 60 * 1000);
+}
+
 // Clean up the weather store
 export function cleanupWeatherStore() {
+  unsubscribeReloadTriggers.forEach(unsubscribe => unsubscribe());
+  unsubscribeReloadTriggers = [];
+  unsubscribeRefreshSetting();
+  unsubscribeRefreshSetting = () => {};
+  clearTimeout(reloadTimeout);
+  
   weatherStore.update(state => {
     if (state.refreshInterval) {
       clearInterval(state.refreshInterval);